@@ -0,0 +1,137 @@
+/**
+ * API Client
+ * JSON transport used by forms to talk to the booking backend
+ */
+
+// Default backend settings. Pages can override the base URL by setting
+// `window.RAINBOW_API_URL` before the modules load. `retries` applies to
+// idempotent requests only.
+export const API_CONFIG = {
+  baseUrl: (typeof window !== 'undefined' && window.RAINBOW_API_URL) || '/api',
+  timeout: 10000,
+  retries: 2,
+  retryDelay: 500
+};
+
+// Error raised for failed requests. `fields` maps form field names to
+// messages when the server rejected individual values.
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = 'network_error', fields = {} } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+  }
+
+  get isRetryable() {
+    return this.status === 0 || this.status === 429 || this.status >= 500;
+  }
+}
+
+// Only these are safe to send again. A POST that timed out may still have
+// been saved (a booking, a message), so retrying it could save it twice.
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+// HTTP transport with timeout and retry/backoff
+export class ApiClient {
+  constructor(options = {}) {
+    this.options = {
+      ...API_CONFIG,
+      ...options
+    };
+  }
+
+  get(path, options = {}) {
+    return this.request('GET', path, null, options);
+  }
+
+  post(path, body, options = {}) {
+    return this.request('POST', path, body, options);
+  }
+
+  patch(path, body, options = {}) {
+    return this.request('PATCH', path, body, options);
+  }
+
+  async request(method, path, body = null, options = {}) {
+    const retries = options.retries ?? (IDEMPOTENT_METHODS.includes(method) ? this.options.retries : 0);
+    let attempt = 0;
+
+    while (true) {
+      try {
+        return await this.send(method, path, body, options);
+      } catch (error) {
+        if (!(error instanceof ApiError) || !error.isRetryable || attempt >= retries) {
+          throw error;
+        }
+
+        // Exponential backoff: 500ms, 1s, 2s, ...
+        await this.wait(this.options.retryDelay * Math.pow(2, attempt));
+        attempt++;
+      }
+    }
+  }
+
+  async send(method, path, body, options = {}) {
+    const controller = new AbortController();
+    const timeout = options.timeout ?? this.options.timeout;
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    let response;
+    try {
+      response = await fetch(this.buildUrl(path), {
+        method,
+        headers: {
+          'Accept': 'application/json',
+          ...(body !== null && { 'Content-Type': 'application/json' })
+        },
+        body: body !== null ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+    } catch (error) {
+      const timedOut = error.name === 'AbortError';
+      throw new ApiError(
+        timedOut ? 'The server took too long to respond.' : 'Unable to reach the server.',
+        { code: timedOut ? 'timeout' : 'network_error' }
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const payload = await this.parseBody(response);
+
+    if (!response.ok) {
+      const error = payload?.error || {};
+      throw new ApiError(error.message || `Request failed with status ${response.status}`, {
+        status: response.status,
+        code: error.code || 'http_error',
+        fields: error.fields || {}
+      });
+    }
+
+    return payload;
+  }
+
+  async parseBody(response) {
+    const text = await response.text();
+    if (!text) return null;
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  buildUrl(path) {
+    return `${this.options.baseUrl.replace(/\/$/, '')}/${path.replace(/^\//, '')}`;
+  }
+
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// Shared client instance
+export const api = new ApiClient();
@@ -0,0 +1,210 @@
+/**
+ * Place Autocomplete
+ * Offline suggestions for pickup/destination inputs from the places gazetteer
+ */
+
+import { escapeHtml } from './utils.js';
+import { PLACE_TYPES, searchPlaces, findPlace, getPlace, formatPlace } from './places.js';
+
+const TYPE_ICONS = {
+  locality: 'fa-map-marker-alt',
+  town: 'fa-city',
+  station: 'fa-train',
+  airport: 'fa-plane',
+  destination: 'fa-mountain'
+};
+
+// Place Autocomplete Component
+// Adds a hidden `<name>PlaceId` field next to the input holding the canonical
+// place id, so the booking carries both what was typed and what it means.
+// `types` limits suggestions to some place types, e.g. ['destination', 'town'].
+export class PlaceAutocomplete {
+  constructor(input, options = {}) {
+    this.input = typeof input === 'string' ? document.getElementById(input) : input;
+    this.options = {
+      limit: 8,
+      types: null,
+      onSelect: null,
+      ...options
+    };
+
+    this.results = [];
+    this.activeIndex = -1;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.input) return;
+
+    const listId = `${this.input.id}-suggestions`;
+
+    this.placeIdInput = document.createElement('input');
+    this.placeIdInput.type = 'hidden';
+    this.placeIdInput.name = `${this.input.name}PlaceId`;
+
+    this.list = document.createElement('ul');
+    this.list.id = listId;
+    this.list.className = 'autocomplete-list';
+    this.list.setAttribute('role', 'listbox');
+    this.list.hidden = true;
+
+    this.input.after(this.placeIdInput, this.list);
+    this.input.parentElement.classList.add('has-autocomplete');
+
+    this.input.setAttribute('autocomplete', 'off');
+    this.input.setAttribute('role', 'combobox');
+    this.input.setAttribute('aria-autocomplete', 'list');
+    this.input.setAttribute('aria-controls', listId);
+    this.input.setAttribute('aria-expanded', 'false');
+
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    this.input.addEventListener('input', () => {
+      // Typed text no longer matches the picked place
+      this.placeIdInput.value = '';
+      this.search(this.input.value);
+    });
+
+    this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+    // Accept an exact name typed without using the list
+    this.input.addEventListener('change', () => {
+      if (!this.placeIdInput.value) {
+        this.resolveTypedPlace();
+      }
+    });
+
+    this.input.addEventListener('blur', () => this.close());
+
+    // mousedown keeps focus in the input, so blur doesn't close the list first
+    this.list.addEventListener('mousedown', (e) => {
+      const option = e.target.closest('[data-index]');
+      if (!option) return;
+
+      e.preventDefault();
+      this.select(Number(option.dataset.index));
+    });
+
+    this.input.form?.addEventListener('reset', () => {
+      this.placeIdInput.value = '';
+      this.close();
+    });
+  }
+
+  handleKeydown(e) {
+    const isOpen = !this.list.hidden;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        if (!isOpen) this.search(this.input.value);
+        this.setActive(this.activeIndex + 1);
+        break;
+      case 'ArrowUp':
+        if (!isOpen) return;
+        e.preventDefault();
+        this.setActive(this.activeIndex - 1);
+        break;
+      case 'Enter':
+        // Only take over Enter while choosing, otherwise let the form submit
+        if (isOpen && this.activeIndex >= 0) {
+          e.preventDefault();
+          this.select(this.activeIndex);
+        }
+        break;
+      case 'Escape':
+        if (isOpen) {
+          e.preventDefault();
+          this.close();
+        }
+        break;
+    }
+  }
+
+  search(query) {
+    const { limit, types } = this.options;
+    this.results = types
+      ? searchPlaces(query, Infinity).filter(place => types.includes(place.type)).slice(0, limit)
+      : searchPlaces(query, limit);
+    this.activeIndex = -1;
+    this.render();
+  }
+
+  render() {
+    if (this.results.length === 0) {
+      this.close();
+      return;
+    }
+
+    this.list.innerHTML = this.results.map((place, index) => `
+      <li id="${this.list.id}-${index}" class="autocomplete-option" role="option" aria-selected="false" data-index="${index}">
+        <i class="fas ${TYPE_ICONS[place.type] || 'fa-map-marker-alt'}" aria-hidden="true"></i>
+        <span class="autocomplete-name">${escapeHtml(place.name)}</span>
+        <span class="autocomplete-meta">${escapeHtml(PLACE_TYPES[place.type])} · ${escapeHtml(place.region)}</span>
+      </li>
+    `).join('');
+
+    this.list.hidden = false;
+    this.input.setAttribute('aria-expanded', 'true');
+    this.input.removeAttribute('aria-activedescendant');
+  }
+
+  setActive(index) {
+    if (this.results.length === 0) return;
+
+    // Wrap around at either end
+    this.activeIndex = (index + this.results.length) % this.results.length;
+
+    this.list.querySelectorAll('.autocomplete-option').forEach((option, i) => {
+      const active = i === this.activeIndex;
+      option.classList.toggle('active', active);
+      option.setAttribute('aria-selected', String(active));
+      if (active) {
+        this.input.setAttribute('aria-activedescendant', option.id);
+        option.scrollIntoView?.({ block: 'nearest' });
+      }
+    });
+  }
+
+  select(index) {
+    const place = this.results[index];
+    if (!place) return;
+
+    this.setPlace(place);
+    this.close();
+
+    if (this.options.onSelect) {
+      this.options.onSelect(place);
+    }
+  }
+
+  // Fill the input and id for a place, e.g. when rebooking
+  setPlace(place) {
+    this.input.value = formatPlace(place);
+    this.placeIdInput.value = place.id;
+
+    // Let listeners (fare estimate, draft autosave) see the new value
+    this.placeIdInput.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  resolveTypedPlace() {
+    const place = findPlace(this.input.value);
+    if (place && formatPlace(place).toLowerCase() === this.input.value.trim().toLowerCase()) {
+      this.placeIdInput.value = place.id;
+    }
+  }
+
+  get place() {
+    return getPlace(this.placeIdInput?.value);
+  }
+
+  close() {
+    this.list.hidden = true;
+    this.activeIndex = -1;
+    this.input.setAttribute('aria-expanded', 'false');
+    this.input.removeAttribute('aria-activedescendant');
+  }
+}
@@ -0,0 +1,253 @@
+/**
+ * Availability
+ * Free cars per vehicle class and day, and the availability calendar
+ */
+
+import { api } from './api.js';
+import { formatDateInput } from './utils.js';
+import { getVehicle } from './fleet.js';
+import { getTripDays } from './trips.js';
+import { getMaxDate } from './schedule.js';
+
+// Days with this many cars or fewer left are shown as filling up
+export const LOW_AVAILABILITY = 1;
+
+const CLASS_NAMES = {
+  sedans: 'sedans',
+  suvs: 'SUVs',
+  vans: 'vans'
+};
+
+// Availability is refetched after this long
+const CACHE_TTL = 5 * 60 * 1000;
+
+// Last response per vehicle class: { tracked, dates, loadedAt }
+const cache = new Map();
+
+// 'available' | 'limited' | 'full' for a { capacity, booked } day.
+// Days the server didn't report are open.
+export function getDayState(day) {
+  if (!day) return 'available';
+
+  const free = day.capacity - day.booked;
+  if (free <= 0) return 'full';
+  if (free <= LOW_AVAILABILITY) return 'limited';
+  return 'available';
+}
+
+export async function fetchAvailability(vehicleClass) {
+  const cached = cache.get(vehicleClass);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL) {
+    return cached;
+  }
+
+  const { availability } = await api.get(`availability?vehicleClass=${encodeURIComponent(vehicleClass)}`);
+  const entry = { tracked: availability.tracked, dates: availability.dates, loadedAt: Date.now() };
+  cache.set(vehicleClass, entry);
+  return entry;
+}
+
+// Dates (YYYY-MM-DD) a trip keeps a car busy
+export function getTripDates(trip) {
+  const start = new Date(`${trip.date}T00:00:00`);
+  return Array.from({ length: getTripDays(trip) }, (_, i) => {
+    const day = new Date(start);
+    day.setDate(start.getDate() + i);
+    return formatDateInput(day);
+  });
+}
+
+// First date of the trip with no car of this class left, from what has been
+// loaded so far. The server makes the final check when the booking is sent.
+export function findFullyBookedDate(vehicleClass, trip) {
+  const availability = cache.get(vehicleClass);
+  if (!availability?.tracked || !trip.date) return null;
+
+  return getTripDates(trip).find(date => getDayState(availability.dates[date]) === 'full') || null;
+}
+
+function formatDay(date) {
+  return new Date(`${date}T00:00:00`).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+export const availabilityValidators = {
+  date(value, form) {
+    const vehicleClass = getVehicle(form.elements.vehicle?.value)?.vehicleClass;
+    if (!vehicleClass || !value) return '';
+
+    const full = findFullyBookedDate(vehicleClass, {
+      date: value,
+      tripType: form.elements.tripType?.value,
+      returnDate: form.elements.returnDate?.value,
+      days: form.elements.days?.value
+    });
+    return full
+      ? `All our ${CLASS_NAMES[vehicleClass]} are booked on ${formatDay(full)}. Please pick another date or vehicle.`
+      : '';
+  }
+};
+
+// Availability Calendar Component
+// Month grid of bookable dates for one vehicle class, with fully booked days
+// greyed out. Hides itself (or the `section` around it) when the class isn't
+// tracked or can't be loaded.
+export class AvailabilityCalendar {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      vehicleClass: null,
+      selected: null,
+      section: null,
+      onSelect: null,
+      ...options
+    };
+
+    this.vehicleClass = this.options.vehicleClass;
+    this.selected = this.options.selected;
+    this.availability = null;
+    this.month = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.container) return;
+
+    this.section = this.options.section || this.container;
+
+    this.container.addEventListener('click', (e) => {
+      const day = e.target.closest('button[data-date]');
+      if (day && !day.disabled) this.select(day.dataset.date);
+
+      const nav = e.target.closest('button[data-month]');
+      if (nav && !nav.disabled) this.showMonth(Number(nav.dataset.month));
+    });
+
+    this.load();
+  }
+
+  get today() {
+    return formatDateInput(new Date());
+  }
+
+  async load() {
+    if (!this.vehicleClass) {
+      this.section.hidden = true;
+      return;
+    }
+
+    const vehicleClass = this.vehicleClass;
+    try {
+      const availability = await fetchAvailability(vehicleClass);
+      // The vehicle may have changed while this was loading
+      if (vehicleClass !== this.vehicleClass) return;
+
+      this.availability = availability;
+      this.section.hidden = !availability.tracked;
+      if (availability.tracked) this.render();
+    } catch (error) {
+      console.error('Error loading availability:', error);
+      this.section.hidden = true;
+    }
+  }
+
+  setVehicleClass(vehicleClass) {
+    if (vehicleClass === this.vehicleClass) return;
+
+    this.vehicleClass = vehicleClass;
+    this.availability = null;
+    this.load();
+  }
+
+  // Drop the cached days, e.g. after the server turned a booking away
+  refresh() {
+    cache.delete(this.vehicleClass);
+    this.load();
+  }
+
+  setSelected(date) {
+    this.selected = date || null;
+    if (this.selected) this.month = null;
+    if (this.availability?.tracked) this.render();
+  }
+
+  select(date) {
+    this.setSelected(date);
+    if (this.options.onSelect) {
+      this.options.onSelect(date);
+    }
+  }
+
+  // Months are counted from the current one: 0 = this month
+  showMonth(offset) {
+    this.month = offset;
+    this.render();
+  }
+
+  getMonthOffset(date) {
+    const now = new Date();
+    const target = new Date(`${date}T00:00:00`);
+    return (target.getFullYear() - now.getFullYear()) * 12 + target.getMonth() - now.getMonth();
+  }
+
+  render() {
+    const today = this.today;
+    const maxDate = getMaxDate();
+    const lastMonth = this.getMonthOffset(maxDate);
+    const offset = Math.min(lastMonth, Math.max(0,
+      this.month ?? (this.selected ? this.getMonthOffset(this.selected) : 0)
+    ));
+
+    const now = new Date();
+    const first = new Date(now.getFullYear(), now.getMonth() + offset, 1);
+    const daysInMonth = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+    // Weeks start on Monday
+    const leading = (first.getDay() + 6) % 7;
+
+    const cells = [];
+    for (let i = 0; i < leading; i++) {
+      cells.push('<span class="availability-blank"></span>');
+    }
+    for (let day = 1; day <= daysInMonth; day++) {
+      const date = formatDateInput(new Date(first.getFullYear(), first.getMonth(), day));
+      const outside = date < today || date > maxDate;
+      const state = outside ? 'outside' : getDayState(this.availability.dates[date]);
+      const label = {
+        outside: 'not bookable',
+        available: 'available',
+        limited: 'filling up',
+        full: 'fully booked'
+      }[state];
+
+      cells.push(`
+        <button type="button" class="availability-day is-${state}${date === this.selected ? ' is-selected' : ''}"
+                data-date="${date}" aria-label="${formatDay(date)}, ${label}"
+                ${outside || state === 'full' ? 'disabled' : ''}>${day}</button>
+      `);
+    }
+
+    this.container.innerHTML = `
+      <div class="availability-header">
+        <button type="button" class="availability-nav" data-month="${offset - 1}"
+                aria-label="Previous month" ${offset === 0 ? 'disabled' : ''}>
+          <i class="fas fa-chevron-left"></i>
+        </button>
+        <strong>${first.toLocaleDateString('en-IN', { month: 'long', year: 'numeric' })}</strong>
+        <button type="button" class="availability-nav" data-month="${offset + 1}"
+                aria-label="Next month" ${offset >= lastMonth ? 'disabled' : ''}>
+          <i class="fas fa-chevron-right"></i>
+        </button>
+      </div>
+      <p class="availability-caption">Availability for ${CLASS_NAMES[this.vehicleClass] || this.vehicleClass}</p>
+      <div class="availability-weekdays" aria-hidden="true">
+        ${['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'].map(day => `<span>${day}</span>`).join('')}
+      </div>
+      <div class="availability-grid">${cells.join('')}</div>
+      <ul class="availability-legend">
+        <li><span class="availability-swatch is-available"></span> Available</li>
+        <li><span class="availability-swatch is-limited"></span> Filling up</li>
+        <li><span class="availability-swatch is-full"></span> Fully booked</li>
+      </ul>
+    `;
+  }
+}
@@ -0,0 +1,230 @@
+/**
+ * Fleet Catalogue
+ * Builds the fleet tabs, vehicle page spec grids and nav menus from data/fleet.json,
+ * replacing the "See our fleet" fallbacks the pages ship with
+ */
+
+import { escapeHtml } from './utils.js';
+import { VEHICLE_CLASSES, VEHICLES, getVehicle, getVariants } from './fleet.js';
+
+// Number the fleet cards are called on
+const BOOKING_TEL = '9894338777';
+
+const MENU_ICON_LABELS = {
+  car: 'Car Icon',
+  users: 'Users Icon'
+};
+
+// Vehicles with their own card, page and menu entry
+function getListedVehicles(vehicleClass) {
+  return VEHICLES.filter(vehicle => vehicle.vehicleClass === vehicleClass && !vehicle.variantOf);
+}
+
+// "12 / 15 Seats" when variants of a vehicle seat more
+export function getSeatsLabel(vehicle) {
+  const seats = [vehicle, ...getVariants(vehicle)].map(variant => variant.seats);
+  return `${[...new Set(seats)].join(' / ')} Seats`;
+}
+
+export function getAcLabel(vehicle) {
+  if (vehicle.ac === 'optional') return 'AC / Non Ac';
+  return vehicle.ac ? 'AC' : 'Non AC';
+}
+
+// ===== Fleet Tabs =====
+
+function renderFleetCard(vehicle, index) {
+  const name = escapeHtml(vehicle.name);
+  // The first image is repeated at the end so the slider can loop back seamlessly
+  const images = [...vehicle.images, vehicle.images[0]];
+
+  return `
+    <div class="fleet-card" data-vehicle="${vehicle.id}" data-aos="zoom-in" data-aos-delay="${(index + 1) * 100}">
+      <div class="fleet-image">
+        <div class="fleet-slider-track">
+          ${images.map((src, i) => `
+            <img src="${src}" alt="${name}${i === images.length - 1 ? ' Duplicate' : ''}" />
+          `).join('')}
+        </div>
+      </div>
+      <div class="fleet-info">
+        <h3 class="fleet-name">${name}</h3>
+        <div class="fleet-specs">
+          <span><i class="fas fa-users"></i> ${getSeatsLabel(vehicle)}</span>
+          ${vehicle.airbags ? `<span><i class="fas fa-suitcase"></i> ${vehicle.airbags} Airbags</span>` : ''}
+          ${vehicle.ac !== undefined ? `<span><i class="fas fa-snowflake"></i> ${getAcLabel(vehicle)}</span>` : ''}
+        </div>
+        <label class="fleet-compare">
+          <input type="checkbox" data-compare="${vehicle.id}" />
+          Compare
+        </label>
+        <a href="tel:${BOOKING_TEL}" aria-label="Call Us">
+          <button class="btn btn-primary btn-sm">Book Now</button>
+        </a>
+      </div>
+    </div>
+  `;
+}
+
+export function renderFleetTabs(root = document) {
+  const tabs = root.querySelector('.fleet-tabs');
+  const content = root.querySelector('.fleet-content');
+  if (!tabs || !content || !VEHICLE_CLASSES.length) return;
+
+  tabs.innerHTML = VEHICLE_CLASSES.map((vehicleClass, i) => `
+    <button class="tab-btn${i === 0 ? ' active' : ''}" data-tab="${vehicleClass.id}">${escapeHtml(vehicleClass.label)}</button>
+  `).join('');
+
+  content.innerHTML = VEHICLE_CLASSES.map((vehicleClass, i) => `
+    <div class="tab-content${i === 0 ? ' active' : ''}" id="${vehicleClass.id}">
+      <div class="fleet-grid">
+        ${getListedVehicles(vehicleClass.id).map(renderFleetCard).join('')}
+      </div>
+    </div>
+  `).join('');
+}
+
+// ===== Vehicle Pages =====
+
+function renderSpec(spec) {
+  return `
+    <div class="card border-border/50 hover:border-primary/50 transition-colors">
+      <div class="card-content p-4 text-center">
+        <i class="fas ${spec.icon} feature-icon text-primary mx-auto mb-2"></i>
+        <h3 class="font-semibold text-foreground">${escapeHtml(spec.title)}</h3>
+        <p class="text-sm text-muted-foreground">${escapeHtml(spec.text)}</p>
+      </div>
+    </div>
+  `;
+}
+
+function renderHighlight(highlight) {
+  return `
+    <div class="flex items-center space-x-3">
+      <i class="fas ${highlight.icon} detail-icon text-primary"></i>
+      <span class="text-foreground font-medium">${escapeHtml(highlight.label)}</span>
+    </div>
+  `;
+}
+
+// Refills `[data-fleet="specs"]` and `[data-fleet="highlights"][data-group]`
+// grids for the vehicle named in their `data-vehicle`
+export function renderVehicleDetails(root = document) {
+  root.querySelectorAll('[data-fleet][data-vehicle]').forEach(container => {
+    const vehicle = getVehicle(container.dataset.vehicle);
+    if (!vehicle) return;
+
+    if (container.dataset.fleet === 'specs') {
+      container.innerHTML = vehicle.specs.map(renderSpec).join('');
+    }
+    if (container.dataset.fleet === 'highlights') {
+      const group = vehicle.highlights[Number(container.dataset.group) || 0] || [];
+      container.innerHTML = group.map(renderHighlight).join('');
+    }
+  });
+}
+
+// ===== Nav Menus =====
+
+function renderMenuGroup(vehicleClass, variant) {
+  const vehicles = getListedVehicles(vehicleClass.id);
+  const label = escapeHtml(vehicleClass.menuLabel);
+
+  if (variant === 'mobile') {
+    return `
+      <div>
+        <div class="mobile-item-label">${label}</div>
+        ${vehicles.map(vehicle => `
+          <a class="mobile-sub-link" href="${vehicle.page}">${escapeHtml(vehicle.name)}</a>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  return `
+    <div>
+      <div class="menu-category">
+        <img src="https://unpkg.com/lucide-static@latest/icons/${vehicleClass.menuIcon}.svg"
+             alt="${MENU_ICON_LABELS[vehicleClass.menuIcon] || 'Car Icon'}" class="filter-primary" />${label}
+      </div>
+      <div class="menu-items">
+        ${vehicles.map(vehicle => `
+          <a class="dropdown-link" href="${vehicle.page}">${escapeHtml(vehicle.name)}</a>
+        `).join('')}
+      </div>
+    </div>
+  `;
+}
+
+// Fills `[data-fleet-menu="desktop"]` and `[data-fleet-menu="mobile"]`
+export function renderFleetMenus(root = document) {
+  if (!VEHICLE_CLASSES.length) return;
+
+  root.querySelectorAll('[data-fleet-menu]').forEach(menu => {
+    menu.innerHTML = VEHICLE_CLASSES.map(vehicleClass => renderMenuGroup(vehicleClass, menu.dataset.fleetMenu)).join('');
+  });
+}
+
+// Everything the catalogue drives on a page. Run before the components that
+// bind to the generated markup (navigation, fleet tabs, sliders).
+export function renderFleetCatalogue(root = document) {
+  renderFleetMenus(root);
+  renderFleetTabs(root);
+  renderVehicleDetails(root);
+}
+
+// Fleet Card Slider Component
+// Steps through a card's photos while it is hovered
+export class FleetCardSlider {
+  constructor(card, options = {}) {
+    this.card = card;
+    this.track = card?.querySelector('.fleet-slider-track');
+    this.options = {
+      interval: 2000,
+      transition: 500,
+      ...options
+    };
+
+    this.index = 0;
+    this.timer = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.track) return;
+
+    this.card.addEventListener('mouseenter', () => this.start());
+    this.card.addEventListener('mouseleave', () => this.stop());
+  }
+
+  get slideCount() {
+    return this.track.querySelectorAll('img').length;
+  }
+
+  start() {
+    if (this.timer || this.slideCount < 2) return;
+
+    this.timer = setInterval(() => this.next(), this.options.interval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  next() {
+    this.index++;
+    this.track.style.transition = `transform ${this.options.transition / 1000}s ease-in-out`;
+    this.track.style.transform = `translateX(-${this.index * 100}%)`;
+
+    // The last slide repeats the first: jump back to it once it is in view
+    if (this.index === this.slideCount - 1) {
+      setTimeout(() => {
+        this.track.style.transition = 'none';
+        this.track.style.transform = 'translateX(0%)';
+        this.index = 0;
+      }, this.options.transition);
+    }
+  }
+}
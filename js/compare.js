@@ -0,0 +1,242 @@
+/**
+ * Vehicle Comparison
+ * Side-by-side table of the vehicles ticked on the fleet cards
+ */
+
+import { escapeHtml, formatCurrency } from './utils.js';
+import { getVehicle } from './fleet.js';
+import { TARIFFS } from './fare.js';
+import { getSeatsLabel, getAcLabel } from './catalogue.js';
+import { showToast } from './components.js';
+
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 4;
+
+function getFeatures(vehicle) {
+  return (vehicle.highlights || []).flat().map(highlight => highlight.label);
+}
+
+// Label/cell rows for the table, one cell per vehicle. Cells are HTML.
+export function getComparisonRows(vehicles) {
+  const features = vehicles.map(getFeatures);
+  // Features every vehicle has tell the customer nothing, so they are listed last
+  const isShared = feature => features.every(list => list.includes(feature));
+
+  // Tariffs are per vehicle class, so the cells name the class whose rate
+  // each car is charged at.
+  const tariffCell = (vehicle, amount) => `
+    ${amount} <small class="comparison-note">${escapeHtml(TARIFFS[vehicle.vehicleClass].label)} rate</small>
+  `;
+
+  return [
+    ['Seats', vehicles.map(vehicle => getSeatsLabel(vehicle))],
+    ['Luggage', vehicles.map(vehicle => `${vehicle.luggage} bags`)],
+    ['AC', vehicles.map(vehicle => getAcLabel(vehicle))],
+    ['Airbags', vehicles.map(vehicle => vehicle.airbags || '—')],
+    ['Per-km fare', vehicles.map(vehicle => tariffCell(vehicle, `${formatCurrency(TARIFFS[vehicle.vehicleClass].perKm)}/km`))],
+    ['Driver bata', vehicles.map(vehicle => tariffCell(vehicle, `${formatCurrency(TARIFFS[vehicle.vehicleClass].driverBata)}/day`))],
+    ['Features', features.map(list => `
+      <ul class="comparison-features">
+        ${[...list].sort((a, b) => isShared(a) - isShared(b)).map(feature => `
+          <li${isShared(feature) ? '' : ' class="is-unique"'}>${escapeHtml(feature)}</li>
+        `).join('')}
+      </ul>
+    `)]
+  ];
+}
+
+// Vehicle Comparison Component
+// Tracks the `input[data-compare]` checkboxes on the fleet cards, shows a bar
+// with the picks and opens the table once there are enough of them.
+// `onChoose(vehicle)` runs when the customer books one of the compared vehicles.
+export class VehicleComparison {
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string' ? document.querySelector(container) : container;
+    this.options = {
+      onChoose: null,
+      ...options
+    };
+
+    this.selected = [];
+
+    this.init();
+  }
+
+  init() {
+    if (!this.container) return;
+
+    this.checkboxes = Array.from(document.querySelectorAll('input[data-compare]'));
+    this.bar = this.container.querySelector('.comparison-bar');
+    this.table = this.container.querySelector('.comparison-table');
+
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    this.checkboxes.forEach(checkbox => {
+      checkbox.addEventListener('change', () => this.toggle(checkbox.dataset.compare, checkbox.checked));
+    });
+
+    this.container.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-comparison-action]');
+      if (!button) return;
+
+      const { comparisonAction, vehicle } = button.dataset;
+      if (comparisonAction === 'open') this.open();
+      if (comparisonAction === 'close') this.close();
+      if (comparisonAction === 'clear') this.clear();
+      if (comparisonAction === 'remove') this.toggle(vehicle, false);
+      if (comparisonAction === 'choose') this.choose(vehicle);
+    });
+  }
+
+  get vehicles() {
+    return this.selected.map(getVehicle).filter(Boolean);
+  }
+
+  toggle(id, checked) {
+    if (checked && !this.selected.includes(id)) {
+      if (this.selected.length >= MAX_COMPARE) {
+        showToast(`You can compare up to ${MAX_COMPARE} vehicles`, 'info');
+        this.syncCheckboxes();
+        return;
+      }
+      this.selected.push(id);
+    }
+    if (!checked) {
+      this.selected = this.selected.filter(selected => selected !== id);
+    }
+
+    this.syncCheckboxes();
+    this.renderBar();
+
+    // Keep an open table in step with the picks
+    if (!this.table.hidden) {
+      if (this.selected.length >= MIN_COMPARE) this.renderTable();
+      else this.close();
+    }
+  }
+
+  clear() {
+    this.selected = [];
+    this.syncCheckboxes();
+    this.renderBar();
+    this.close();
+  }
+
+  syncCheckboxes() {
+    const full = this.selected.length >= MAX_COMPARE;
+    this.checkboxes.forEach(checkbox => {
+      checkbox.checked = this.selected.includes(checkbox.dataset.compare);
+      checkbox.closest('.fleet-card')?.classList.toggle('is-compared', checkbox.checked);
+    });
+    this.checkboxes.forEach(checkbox => {
+      checkbox.disabled = full && !checkbox.checked;
+    });
+  }
+
+  open() {
+    if (this.selected.length < MIN_COMPARE) return;
+
+    this.renderTable();
+    this.table.hidden = false;
+    this.table.querySelector('.comparison-title')?.focus();
+  }
+
+  close() {
+    this.table.hidden = true;
+    this.table.innerHTML = '';
+  }
+
+  choose(id) {
+    const vehicle = getVehicle(id);
+    if (!vehicle) return;
+
+    this.close();
+    if (this.options.onChoose) {
+      this.options.onChoose(vehicle);
+    }
+  }
+
+  // ===== Rendering =====
+
+  renderBar() {
+    const vehicles = this.vehicles;
+    this.container.hidden = vehicles.length === 0;
+    this.bar.hidden = vehicles.length === 0;
+
+    this.bar.innerHTML = `
+      <div class="comparison-picks">
+        ${vehicles.map(vehicle => `
+          <span class="comparison-pick">
+            ${escapeHtml(vehicle.name)}
+            <button type="button" data-comparison-action="remove" data-vehicle="${vehicle.id}"
+                    aria-label="Remove ${escapeHtml(vehicle.name)} from the comparison">
+              <i class="fas fa-times"></i>
+            </button>
+          </span>
+        `).join('')}
+        ${vehicles.length < MIN_COMPARE
+          ? `<span class="comparison-hint">Tick ${MIN_COMPARE - vehicles.length} more to compare</span>`
+          : ''}
+      </div>
+      <div class="comparison-actions">
+        <button type="button" class="link-btn" data-comparison-action="clear">Clear</button>
+        <button type="button" class="btn btn-primary btn-sm" data-comparison-action="open"
+                ${vehicles.length < MIN_COMPARE ? 'disabled' : ''}>
+          Compare ${vehicles.length}
+        </button>
+      </div>
+    `;
+  }
+
+  renderTable() {
+    const vehicles = this.vehicles;
+
+    this.table.innerHTML = `
+      <div class="comparison-header">
+        <h3 class="comparison-title" tabindex="-1">Compare vehicles</h3>
+        <button type="button" class="comparison-close" data-comparison-action="close" aria-label="Close comparison">
+          <i class="fas fa-times"></i>
+        </button>
+      </div>
+      <div class="comparison-scroll">
+        <table>
+          <thead>
+            <tr>
+              <td></td>
+              ${vehicles.map(vehicle => `
+                <th scope="col">
+                  <img src="${vehicle.images[0]}" alt="" />
+                  <a href="${vehicle.page}">${escapeHtml(vehicle.name)}</a>
+                </th>
+              `).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${getComparisonRows(vehicles).map(([label, cells]) => `
+              <tr>
+                <th scope="row">${label}</th>
+                ${cells.map(cell => `<td>${cell}</td>`).join('')}
+              </tr>
+            `).join('')}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td></td>
+              ${vehicles.map(vehicle => `
+                <td>
+                  <button type="button" class="btn btn-primary btn-sm" data-comparison-action="choose"
+                          data-vehicle="${vehicle.id}">
+                    Book ${escapeHtml(vehicle.name)}
+                  </button>
+                </td>
+              `).join('')}
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+      <p class="fare-note">Fares are per kilometre before tolls, permits and night charges.</p>
+    `;
+  }
+}
@@ -3,7 +3,8 @@
  * Reusable UI components
  */
 
-import { debounce, throttle, isInViewport, smoothScrollTo } from './utils.js';
+import { debounce, throttle, isInViewport, smoothScrollTo, isValidPhone, formatPhoneNumber, storage, trackEvent } from './utils.js';
+import { api, ApiError } from './api.js';
 
 // Navigation Component
 export class Navigation {
@@ -253,6 +254,26 @@ export class FleetTabs {
       targetContent.classList.add('active');
     }
   }
+
+  // Highlight the cards whose `data-vehicle` is in `vehicleIds` and dim the
+  // rest. Tabs without a match are dimmed too. Pass null to clear.
+  highlight(vehicleIds) {
+    const ids = vehicleIds ? new Set(vehicleIds) : null;
+
+    this.tabContents.forEach(content => {
+      let hasMatch = false;
+
+      content.querySelectorAll('.fleet-card[data-vehicle]').forEach(card => {
+        const isMatch = ids ? ids.has(card.dataset.vehicle) : false;
+        card.classList.toggle('is-match', isMatch);
+        card.classList.toggle('is-dimmed', Boolean(ids) && !isMatch);
+        hasMatch = hasMatch || isMatch;
+      });
+
+      const button = Array.from(this.tabButtons).find(btn => btn.getAttribute('data-tab') === content.id);
+      button?.classList.toggle('is-dimmed', Boolean(ids) && !hasMatch);
+    });
+  }
 }
 
 // Back to Top Component
@@ -294,24 +315,90 @@ export class BackToTop {
   }
 }
 
+// Toast notification shared by forms and app-level errors
+export function showToast(message, type = 'info', duration = 3000) {
+  const icons = {
+    success: 'check-circle',
+    error: 'exclamation-circle',
+    warning: 'exclamation-triangle',
+    info: 'info-circle'
+  };
+
+  const toast = document.createElement('div');
+  toast.className = `toast toast-${type}`;
+  toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+  toast.innerHTML = `
+    <div class="toast-content">
+      <i class="fas fa-${icons[type] || icons.info}"></i>
+      <span></span>
+    </div>
+  `;
+  // Messages can carry customer input (a pickup, a name), so never as HTML
+  toast.querySelector('span').textContent = message;
+
+  document.body.appendChild(toast);
+
+  // Animate in
+  setTimeout(() => toast.classList.add('show'), 100);
+
+  // Remove after delay
+  setTimeout(() => {
+    toast.classList.remove('show');
+    setTimeout(() => toast.remove(), 300);
+  }, duration);
+
+  return toast;
+}
+
+// Draft autosave defaults. Contact details and secrets are never written to
+// localStorage, so a shared device doesn't leak them (booking history in
+// history.js leaves them out too).
+const DRAFT_DEFAULTS = {
+  expiresIn: 24 * 60 * 60 * 1000,
+  exclude: [],
+  excludeTypes: ['password', 'hidden', 'file', 'tel', 'email']
+};
+
 // Form Handler Component
 export class FormHandler {
-  constructor(formId, options = {}) {
-    this.form = document.getElementById(formId);
+  constructor(form, options = {}) {
+    this.form = typeof form === 'string' ? document.getElementById(form) : form;
     this.options = {
       showSuccess: true,
       showError: true,
       resetOnSuccess: true,
+      successMessage: 'Form submitted successfully!',
+      errorMessage: 'Error submitting form. Please try again.',
+      endpoint: null,
+      transport: api,
+      serialize: null,
+      onSuccess: null,
+      onError: null,
+      validators: {},
+      draft: false,
+      analyticsLabel: null,
       ...options
     };
 
+    if (this.options.draft) {
+      this.draftOptions = { ...DRAFT_DEFAULTS, ...(this.options.draft === true ? {} : this.options.draft) };
+      this.draftVersion = 0;
+    }
+
     this.init();
   }
 
   init() {
     if (!this.form) return;
 
+    const submitButton = this.form.querySelector('button[type="submit"]');
+    this.submitLabel = submitButton?.innerHTML;
+
     this.bindEvents();
+
+    if (this.draftOptions) {
+      this.restoreDraft();
+    }
   }
 
   bindEvents() {
@@ -320,29 +407,60 @@ export class FormHandler {
     // Real-time validation
     const inputs = this.form.querySelectorAll('input, select, textarea');
     inputs.forEach(input => {
-      input.addEventListener('blur', () => this.validateField(input));
+      input.addEventListener('blur', () => {
+        // Show phone numbers in a consistent +91 format once they are valid
+        if (this.validateField(input) && input.type === 'tel' && input.value) {
+          input.value = formatPhoneNumber(input.value.trim());
+        }
+      });
       input.addEventListener('input', () => this.clearFieldError(input));
     });
+
+    // Draft autosave, only for changes the customer actually made
+    if (this.draftOptions) {
+      const save = debounce((version) => this.saveDraft(version), 500);
+      const onChange = (e) => {
+        if (e.isTrusted) save(this.draftVersion);
+      };
+      this.form.addEventListener('input', onChange);
+      this.form.addEventListener('change', onChange);
+    }
   }
 
   async handleSubmit(e) {
     e.preventDefault();
 
     if (!this.validateForm()) {
+      this.track('invalid');
       return;
     }
 
-    const formData = this.getFormData();
+    const formData = this.options.serialize
+      ? this.options.serialize(this.getFormData(), this.form)
+      : this.getFormData();
     const submitButton = this.form.querySelector('button[type="submit"]');
 
     try {
       this.setSubmitState(submitButton, true);
 
-      // Simulate API call (replace with actual endpoint)
-      await this.submitForm(formData);
+      const response = await this.submitForm(formData);
+
+      this.track('submit');
+
+      if (this.options.onSuccess) {
+        this.options.onSuccess(response, formData);
+      }
 
       if (this.options.showSuccess) {
-        this.showMessage('Form submitted successfully!', 'success');
+        const { successMessage } = this.options;
+        this.showMessage(
+          typeof successMessage === 'function' ? successMessage(response, formData) : successMessage,
+          'success'
+        );
+      }
+
+      if (this.draftOptions) {
+        this.clearDraft();
       }
 
       if (this.options.resetOnSuccess) {
@@ -350,8 +468,18 @@ export class FormHandler {
       }
 
     } catch (error) {
+      const hasFieldErrors = this.applyServerErrors(error);
+      this.track('error');
+
+      if (this.options.onError) {
+        this.options.onError(error, formData);
+      }
+
       if (this.options.showError) {
-        this.showMessage('Error submitting form. Please try again.', 'error');
+        this.showMessage(
+          hasFieldErrors ? 'Please correct the highlighted fields.' : this.getErrorMessage(error),
+          'error'
+        );
       }
       console.error('Form submission error:', error);
     } finally {
@@ -360,10 +488,13 @@ export class FormHandler {
   }
 
   validateForm() {
-    const inputs = this.form.querySelectorAll('input[required], select[required], textarea[required]');
+    const inputs = this.form.querySelectorAll('input, select, textarea');
     let isValid = true;
 
     inputs.forEach(input => {
+      if (input.disabled) return;
+      if (!input.hasAttribute('required') && !this.options.validators[input.name]) return;
+
       if (!this.validateField(input)) {
         isValid = false;
       }
@@ -391,9 +522,16 @@ export class FormHandler {
     }
 
     // Phone validation
-    if (type === 'tel' && value && !this.isValidPhone(value)) {
+    if (type === 'tel' && value && !isValidPhone(value)) {
       isValid = false;
-      message = 'Please enter a valid phone number';
+      message = 'Please enter a valid Indian mobile or landline number';
+    }
+
+    // Form-specific validation (see the `validators` option)
+    const validator = this.options.validators[field.name];
+    if (isValid && validator) {
+      message = validator(value, this.form) || '';
+      isValid = !message;
     }
 
     this.setFieldError(field, isValid ? '' : message);
@@ -440,62 +578,152 @@ export class FormHandler {
     return data;
   }
 
+  // Fill fields by name and fire change events so dependent components
+  // (fare estimate, trip type fields, ...) update. Unknown names are ignored.
+  setFormData(values) {
+    Object.entries(values).forEach(([name, value]) => {
+      const field = this.form.elements[name];
+      if (!field || value === undefined || value === null) return;
+
+      if (field instanceof RadioNodeList) {
+        const radio = Array.from(field).find(item => item.value === String(value));
+        if (!radio) return;
+        radio.checked = true;
+        radio.dispatchEvent(new Event('change', { bubbles: true }));
+        return;
+      }
+
+      field.value = value;
+      this.clearFieldError(field);
+      field.dispatchEvent(new Event('input', { bubbles: true }));
+      field.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+  }
+
+  // ===== Drafts =====
+
+  get draftKey() {
+    return `draft:${this.form.id}`;
+  }
+
+  isDraftField(field) {
+    return Boolean(field.name) &&
+      !field.disabled &&
+      field.dataset.draft !== 'off' &&
+      !this.draftOptions.exclude.includes(field.name) &&
+      !this.draftOptions.excludeTypes.includes(field.type);
+  }
+
+  saveDraft(version = this.draftVersion) {
+    // A submit or discard since this save was scheduled makes it stale
+    if (version !== this.draftVersion) return;
+
+    const values = {};
+    Array.from(this.form.elements).forEach(field => {
+      if (!this.isDraftField(field)) return;
+      if ((field.type === 'radio' || field.type === 'checkbox') && !field.checked) return;
+      values[field.name] = field.value;
+    });
+
+    storage.set(this.draftKey, { savedAt: Date.now(), values });
+  }
+
+  restoreDraft() {
+    const draft = storage.get(this.draftKey);
+    if (!draft) return false;
+
+    if (Date.now() - draft.savedAt > this.draftOptions.expiresIn) {
+      this.clearDraft();
+      return false;
+    }
+
+    this.setFormData(draft.values);
+    this.showDraftNotice();
+    return true;
+  }
+
+  clearDraft() {
+    this.draftVersion++;
+    storage.remove(this.draftKey);
+    this.form.querySelector('.draft-notice')?.remove();
+  }
+
+  showDraftNotice() {
+    const notice = document.createElement('div');
+    notice.className = 'draft-notice';
+    notice.setAttribute('role', 'status');
+    notice.innerHTML = `
+      <i class="fas fa-history"></i>
+      <span>We restored your unsent details from last time.</span>
+      <button type="button" class="link-btn">Start over</button>
+    `;
+
+    notice.querySelector('button').addEventListener('click', () => {
+      this.clearDraft();
+      this.form.reset();
+    });
+
+    this.form.prepend(notice);
+  }
+
   async submitForm(data) {
-    // Simulate API call - replace with actual implementation
-    return new Promise((resolve, reject) => {
-      setTimeout(() => {
-        // Simulate success/failure
-        if (Math.random() > 0.1) {
-          resolve(data);
-        } else {
-          reject(new Error('Submission failed'));
-        }
-      }, 1000);
+    const endpoint = this.options.endpoint || this.form.getAttribute('data-endpoint');
+    if (!endpoint) {
+      throw new Error(`No submission endpoint configured for #${this.form.id}`);
+    }
+
+    return this.options.transport.post(endpoint, data);
+  }
+
+  // `errorMessage` may be a function of the error; returning nothing falls
+  // back to the generic message
+  getErrorMessage(error) {
+    const { errorMessage } = this.options;
+    if (typeof errorMessage !== 'function') return errorMessage;
+
+    return errorMessage(error) || 'Error submitting form. Please try again.';
+  }
+
+  // Map server-side validation errors back onto the form fields
+  applyServerErrors(error) {
+    if (!(error instanceof ApiError)) return false;
+
+    let applied = false;
+    Object.entries(error.fields).forEach(([name, message]) => {
+      const field = this.form.querySelector(`[name="${name}"]`);
+      if (field) {
+        this.setFieldError(field, message);
+        applied = true;
+      }
     });
+
+    return applied;
   }
 
   setSubmitState(button, isSubmitting) {
+    if (!button) return;
+
     if (isSubmitting) {
       button.disabled = true;
       button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Submitting...';
     } else {
       button.disabled = false;
-      button.innerHTML = '<i class="fas fa-paper-plane"></i> Send Message';
+      button.innerHTML = this.submitLabel;
     }
   }
 
   showMessage(message, type = 'info') {
-    // Create and show toast message
-    const toast = document.createElement('div');
-    toast.className = `toast toast-${type}`;
-    toast.innerHTML = `
-      <div class="toast-content">
-        <i class="fas fa-${type === 'success' ? 'check-circle' : 'exclamation-circle'}"></i>
-        <span>${message}</span>
-      </div>
-    `;
-
-    document.body.appendChild(toast);
-
-    // Animate in
-    setTimeout(() => toast.classList.add('show'), 100);
+    showToast(message, type);
+  }
 
-    // Remove after delay
-    setTimeout(() => {
-      toast.classList.remove('show');
-      setTimeout(() => toast.remove(), 300);
-    }, 3000);
+  track(action) {
+    trackEvent('Form', action, this.options.analyticsLabel || this.form.id);
   }
 
   isValidEmail(email) {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     return emailRegex.test(email);
   }
-
-  isValidPhone(phone) {
-    const phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
-    return phoneRegex.test(phone.replace(/\D/g, ''));
-  }
 }
 
 // Preloader Component
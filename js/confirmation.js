@@ -0,0 +1,174 @@
+/**
+ * Booking Confirmation
+ * Printable summary shown after a booking is submitted
+ */
+
+import { escapeHtml, formatCurrency, formatPhoneNumber } from './utils.js';
+import { TRIP_TYPES, getHourlyPackage } from './trips.js';
+import { WHATSAPP_NUMBER, buildWhatsAppUrl } from './whatsapp.js';
+import { CANCELLATION_POLICY } from './manage.js';
+import { describeItinerary } from './itinerary.js';
+import { describeVans } from './pilgrimage.js';
+
+// Numbers printed on the confirmation for the customer and driver
+export const BOOKING_PHONE = '+919894338777';
+
+function formatDate(value) {
+  if (!value) return '';
+
+  const date = new Date(`${value}T00:00:00`);
+  if (isNaN(date.getTime())) return value;
+
+  return date.toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// Label/value rows for the trip summary. Empty values are left out.
+export function getConfirmationDetails(booking) {
+  const when = [formatDate(booking.date), booking.time].filter(Boolean).join(', ');
+  const group = [
+    booking.passengers && `${booking.passengers} passenger${booking.passengers > 1 ? 's' : ''}`,
+    booking.luggage && `${booking.luggage} bag${booking.luggage > 1 ? 's' : ''}`
+  ].filter(Boolean).join(', ');
+
+  return [
+    ['Trip', TRIP_TYPES[booking.tripType]?.label],
+    ['Pickup', booking.pickup],
+    // Custom trips list their stops with the nights at each instead
+    ['Drop', booking.itinerary ? null : booking.destination],
+    ['Stops', booking.itinerary && describeItinerary(booking.itinerary)],
+    ['Pickup time', when],
+    ['Return', formatDate(booking.returnDate)],
+    ['Days', booking.days],
+    ['Flight', booking.flightNumber],
+    ['Package', getHourlyPackage(booking.hoursPackage)?.label],
+    ['Darshan slot', booking.pilgrimage && [formatDate(booking.pilgrimage.darshanDate), booking.pilgrimage.darshanTime].filter(Boolean).join(', ')],
+    ['Vehicle', booking.vehicleName],
+    ['Vans', booking.pilgrimage?.vans?.length > 1 ? describeVans(booking.pilgrimage.vans) : null],
+    ['Group', group],
+    ['Name', booking.name],
+    ['Phone', booking.phone && formatPhoneNumber(booking.phone)]
+  ].filter(([, value]) => value !== undefined && value !== null && String(value).trim() !== '');
+}
+
+// Booking Confirmation Component
+// Takes the place of the booking form until the customer starts a new booking.
+export class BookingConfirmation {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      form: null,
+      onNewBooking: null,
+      ...options
+    };
+
+    this.booking = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.container) return;
+
+    this.container.addEventListener('click', (e) => this.handleClick(e));
+  }
+
+  handleClick(e) {
+    const button = e.target.closest('button[data-confirmation-action]');
+    if (!button) return;
+
+    if (button.dataset.confirmationAction === 'print') {
+      window.print();
+      return;
+    }
+
+    this.hide();
+    if (this.options.onNewBooking) {
+      this.options.onNewBooking(this.booking);
+    }
+  }
+
+  show(booking) {
+    if (!this.container) return;
+
+    this.booking = booking;
+    this.render();
+
+    this.container.hidden = false;
+    if (this.options.form) this.options.form.hidden = true;
+    document.body.classList.add('has-booking-confirmation');
+
+    this.container.querySelector('.confirmation-title')?.focus();
+  }
+
+  hide() {
+    if (!this.container) return;
+
+    this.container.hidden = true;
+    this.container.innerHTML = '';
+    if (this.options.form) this.options.form.hidden = false;
+    document.body.classList.remove('has-booking-confirmation');
+  }
+
+  render() {
+    const booking = this.booking;
+    const whatsAppUrl = buildWhatsAppUrl(
+      `Hi Rainbow Call Taxi, about my booking ${booking.reference || ''}`.trim()
+    );
+
+    this.container.innerHTML = `
+      <div class="confirmation-header">
+        <i class="fas fa-check-circle" aria-hidden="true"></i>
+        <h4 class="confirmation-title" tabindex="-1">Booking received</h4>
+        ${booking.reference ? `
+          <p class="confirmation-reference">
+            Reference <strong>${escapeHtml(booking.reference)}</strong>
+          </p>
+        ` : ''}
+        <p class="confirmation-note">We will call you shortly to confirm your cab and driver.</p>
+        ${booking.reference ? `
+          <a class="link-btn" href="status.html?ref=${encodeURIComponent(booking.reference)}">
+            Track, reschedule or cancel this booking
+          </a>
+        ` : ''}
+      </div>
+
+      <dl class="confirmation-details">
+        ${getConfirmationDetails(booking).map(([label, value]) => `
+          <div>
+            <dt>${label}</dt>
+            <dd>${escapeHtml(value)}</dd>
+          </div>
+        `).join('')}
+      </dl>
+
+      ${booking.fareEstimate ? `
+        <p class="confirmation-fare">
+          <span>Estimated fare</span>
+          <strong>${formatCurrency(booking.fareEstimate)}</strong>
+        </p>
+        <p class="fare-note">Final fare is based on actual kilometres and tolls.</p>
+      ` : ''}
+
+      <div class="confirmation-contact">
+        <p>
+          Questions about your trip? Quote your reference.
+          Free cancellation up to ${CANCELLATION_POLICY.freeHours} hours before pickup.
+        </p>
+        <a href="tel:${BOOKING_PHONE}"><i class="fas fa-phone"></i> ${formatPhoneNumber(BOOKING_PHONE)}</a>
+        <a href="${whatsAppUrl}" target="_blank" rel="noopener">
+          <i class="fab fa-whatsapp"></i> WhatsApp ${formatPhoneNumber(`+${WHATSAPP_NUMBER}`)}
+        </a>
+      </div>
+
+      <div class="confirmation-actions">
+        <button type="button" class="btn btn-primary" data-confirmation-action="print">
+          <i class="fas fa-print"></i>
+          Print / Save as PDF
+        </button>
+        <button type="button" class="btn" data-confirmation-action="new">
+          Book another trip
+        </button>
+      </div>
+    `;
+  }
+}
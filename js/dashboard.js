@@ -0,0 +1,391 @@
+/**
+ * Operator Dashboard
+ * Dispatch desk view of incoming bookings with live updates
+ */
+
+import { api } from './api.js';
+import { FormHandler, showToast } from './components.js';
+import { escapeHtml, formatCurrency, formatPhoneNumber } from './utils.js';
+import { TRIP_TYPES, getHourlyPackage } from './trips.js';
+import { VEHICLES, getVehicle } from './fleet.js';
+import { describeVans } from './pilgrimage.js';
+import { BOOKING_STATUSES } from './status.js';
+import {
+  RosterPanel,
+  VEHICLE_DOCUMENTS,
+  DRIVER_DOCUMENTS,
+  getAssignmentProblem,
+  getDocumentAlerts,
+  describeAlert,
+  getVehicleModelName
+} from './roster.js';
+
+// Which actions each status allows. Keep in sync with OPERATOR_ACTIONS in
+// server/server.js.
+export const OPERATOR_ACTIONS = {
+  confirm: { label: 'Confirm', from: ['received'] },
+  assign: { label: 'Assign driver', from: ['received', 'confirmed', 'assigned'] },
+  complete: { label: 'Mark complete', from: ['confirmed', 'assigned'] },
+  cancel: { label: 'Cancel', from: ['received', 'confirmed', 'assigned'] }
+};
+
+const OPEN_STATUSES = ['received', 'confirmed', 'assigned'];
+
+// Poll instead when the browser can't keep an event stream open
+const POLL_INTERVAL = 30000;
+
+export function getAvailableActions(booking) {
+  return Object.keys(OPERATOR_ACTIONS).filter(action =>
+    OPERATOR_ACTIONS[action].from.includes(booking.status)
+  );
+}
+
+// Filters: { date, tripType, vehicle, status }. Empty values match anything;
+// status "open" matches bookings that still need work.
+export function filterBookings(bookings, filters = {}) {
+  return bookings.filter(booking => {
+    if (filters.date && booking.date !== filters.date) return false;
+    if (filters.tripType && (booking.tripType || 'oneway') !== filters.tripType) return false;
+    if (filters.vehicle && booking.vehicle !== filters.vehicle) return false;
+    if (filters.status === 'open') return OPEN_STATUSES.includes(booking.status);
+    if (filters.status && booking.status !== filters.status) return false;
+    return true;
+  });
+}
+
+// Roster vehicles for a booking, best fit first: the booked model, then the
+// same class, then anything else. Each comes with the reason it can't take
+// the trip, if any.
+export function rankVehiclesForBooking(vehicles, booking) {
+  const booked = getVehicle(booking.vehicle);
+  const rank = (vehicle) => {
+    if (booked && vehicle.model === booked.id) return 0;
+    if (booked && vehicle.vehicleClass === booked.vehicleClass) return 1;
+    return 2;
+  };
+
+  return vehicles
+    .filter(vehicle => vehicle.active)
+    .map(vehicle => ({
+      vehicle,
+      problem: getAssignmentProblem(vehicle, VEHICLE_DOCUMENTS, booking.date) ||
+        (booking.passengers && vehicle.seats < booking.passengers ? `Seats ${vehicle.seats}` : null)
+    }))
+    .sort((a, b) => rank(a.vehicle) - rank(b.vehicle) || a.vehicle.registration.localeCompare(b.vehicle.registration));
+}
+
+// Soonest pickup first
+export function sortByPickup(bookings) {
+  return [...bookings].sort((a, b) =>
+    `${a.date}T${a.time}`.localeCompare(`${b.date}T${b.time}`)
+  );
+}
+
+// Operator Dashboard Component
+export class OperatorDashboard {
+  constructor(root) {
+    this.root = typeof root === 'string' ? document.getElementById(root) : root;
+    this.bookings = new Map();
+    this.roster = { vehicles: [], drivers: [] };
+    this.highlighted = new Set();
+    this.events = null;
+    this.pollTimer = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.root) return;
+
+    this.list = this.root.querySelector('.dashboard-list');
+    this.summary = this.root.querySelector('.dashboard-summary');
+    this.liveStatus = this.root.querySelector('.dashboard-live');
+    this.filtersForm = this.root.querySelector('.dashboard-filters');
+    this.assignPanel = this.root.querySelector('.dashboard-assign');
+
+    this.renderFilterOptions();
+    this.initAssignForm();
+    this.bindEvents();
+
+    this.rosterPanel = new RosterPanel(this.root.querySelector('.dashboard-roster'), {
+      onChange: (roster) => {
+        this.roster = roster;
+      }
+    });
+
+    this.load();
+    this.connect();
+  }
+
+  bindEvents() {
+    this.filtersForm.addEventListener('input', () => this.render());
+    this.filtersForm.addEventListener('change', () => this.render());
+
+    this.list.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (button) this.handleAction(button.dataset.action, button.dataset.id);
+    });
+
+    this.assignPanel.querySelector('[data-assign-close]')?.addEventListener('click', () => this.closeAssign());
+  }
+
+  renderFilterOptions() {
+    this.filtersForm.elements.tripType.insertAdjacentHTML('beforeend',
+      Object.entries(TRIP_TYPES).map(([id, type]) => `<option value="${id}">${type.label}</option>`).join('')
+    );
+    this.filtersForm.elements.vehicle.insertAdjacentHTML('beforeend',
+      VEHICLES.map(vehicle => `<option value="${vehicle.id}">${vehicle.name}</option>`).join('')
+    );
+    this.filtersForm.elements.status.insertAdjacentHTML('beforeend',
+      Object.entries(BOOKING_STATUSES).map(([id, status]) => `<option value="${id}">${status.label}</option>`).join('')
+    );
+  }
+
+  get filters() {
+    const { date, tripType, vehicle, status } = this.filtersForm.elements;
+    return {
+      date: date.value,
+      tripType: tripType.value,
+      vehicle: vehicle.value,
+      status: status.value
+    };
+  }
+
+  // ===== Data =====
+
+  async load() {
+    try {
+      // Merge rather than replace, so a live update that arrived while this
+      // request was in flight isn't lost
+      const { bookings } = await api.get('operator/bookings');
+      bookings.forEach(booking => this.upsert(booking));
+      this.render();
+    } catch (error) {
+      console.error('Error loading bookings:', error);
+      showToast(error.status === 403 ? error.message : 'Could not load bookings. Is the booking server running?', 'error', 5000);
+    }
+  }
+
+  connect() {
+    if (typeof EventSource === 'undefined') {
+      this.pollTimer = setInterval(() => this.load(), POLL_INTERVAL);
+      this.setLive(false);
+      return;
+    }
+
+    this.events = new EventSource(api.buildUrl('operator/events'));
+
+    this.events.addEventListener('open', () => {
+      // Catch up on anything that changed while disconnected
+      this.setLive(true);
+      this.load();
+    });
+
+    this.events.addEventListener('error', () => this.setLive(false));
+
+    this.events.addEventListener('booking', (e) => {
+      const booking = JSON.parse(e.data);
+      const isNew = !this.bookings.has(booking.id);
+
+      this.upsert(booking);
+      if (isNew) {
+        this.highlighted.add(booking.id);
+        showToast(`New booking ${booking.reference}: ${booking.pickup}`, 'info', 5000);
+      }
+      this.render();
+    });
+  }
+
+  setLive(isLive) {
+    this.liveStatus.classList.toggle('is-live', isLive);
+    this.liveStatus.textContent = isLive ? 'Live' : 'Reconnecting…';
+  }
+
+  upsert(booking) {
+    this.bookings.set(booking.id, booking);
+  }
+
+  // ===== Actions =====
+
+  async handleAction(action, id) {
+    const booking = this.bookings.get(id);
+    if (!booking) return;
+
+    this.highlighted.delete(id);
+
+    if (action === 'assign') {
+      this.openAssign(booking);
+      return;
+    }
+
+    if (action === 'cancel' && !window.confirm(`Cancel booking ${booking.reference}?`)) {
+      return;
+    }
+
+    try {
+      const response = await api.patch(`operator/bookings/${id}`, { action });
+      this.upsert(response.booking);
+      this.render();
+      showToast(`${booking.reference}: ${BOOKING_STATUSES[response.booking.status].label}`, 'success');
+    } catch (error) {
+      showToast(error.message, 'error', 5000);
+    }
+  }
+
+  // The assign form is shared by all bookings, so its endpoint is set per
+  // booking when it opens
+  initAssignForm() {
+    const form = this.assignPanel.querySelector('form');
+
+    this.assignForm = new FormHandler(form, {
+      transport: {
+        post: (path, data) => api.patch(path, { ...data, action: 'assign' })
+      },
+      successMessage: 'Driver assigned',
+      onSuccess: (response) => {
+        this.upsert(response.booking);
+        this.closeAssign();
+        this.render();
+      }
+    });
+  }
+
+  openAssign(booking) {
+    const form = this.assignForm.form;
+
+    this.assignForm.options.endpoint = `operator/bookings/${booking.id}`;
+    this.assignPanel.querySelector('.dashboard-assign-title').textContent =
+      `Assign ${booking.reference} · ${booking.pickup} · ${booking.date} ${booking.time}`;
+
+    form.reset();
+    this.renderAssignOptions(booking);
+    this.assignForm.setFormData({
+      driverId: booking.driver?.id,
+      vehicleId: booking.vehicleId
+    });
+
+    this.assignPanel.hidden = false;
+    form.elements.driverId.focus();
+  }
+
+  // Drivers and cars that can't do this trip are listed but disabled, so the
+  // operator can see why
+  renderAssignOptions(booking) {
+    const { driverId, vehicleId } = this.assignForm.form.elements;
+    const option = (id, label, problem, alerts) => {
+      const notes = problem ? [problem] : alerts.map(describeAlert);
+      return `
+        <option value="${escapeHtml(id)}"${problem ? ' disabled' : ''}>
+          ${escapeHtml(label)}${notes.length ? ` (${problem ? '' : '⚠ '}${escapeHtml(notes.join(', '))})` : ''}
+        </option>
+      `;
+    };
+
+    driverId.innerHTML = '<option value="">Choose a driver</option>' + this.roster.drivers
+      .filter(driver => driver.active)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(driver => option(
+        driver.id,
+        driver.languages?.length ? `${driver.name} · ${driver.languages.join(', ')}` : driver.name,
+        getAssignmentProblem(driver, DRIVER_DOCUMENTS, booking.date),
+        getDocumentAlerts(driver, DRIVER_DOCUMENTS)
+      )).join('');
+
+    vehicleId.innerHTML = '<option value="">Choose a vehicle</option>' + rankVehiclesForBooking(this.roster.vehicles, booking)
+      .map(({ vehicle, problem }) => option(
+        vehicle.id,
+        `${vehicle.registration} · ${getVehicleModelName(vehicle)} · ${vehicle.seats} seats${vehicle.ac ? ' · AC' : ''}`,
+        problem,
+        getDocumentAlerts(vehicle, VEHICLE_DOCUMENTS)
+      )).join('');
+  }
+
+  closeAssign() {
+    this.assignPanel.hidden = true;
+  }
+
+  // ===== Rendering =====
+
+  render() {
+    const all = [...this.bookings.values()];
+    const bookings = sortByPickup(filterBookings(all, this.filters));
+
+    this.renderSummary(all);
+
+    this.list.innerHTML = bookings.length
+      ? bookings.map(booking => this.renderBooking(booking)).join('')
+      : '<p class="dashboard-empty">No bookings match these filters.</p>';
+  }
+
+  renderSummary(bookings) {
+    this.summary.innerHTML = Object.entries(BOOKING_STATUSES).map(([id, status]) => `
+      <span class="status-badge status-${id}">
+        ${status.label} <strong>${bookings.filter(booking => booking.status === id).length}</strong>
+      </span>
+    `).join('');
+  }
+
+  renderBooking(booking) {
+    const status = BOOKING_STATUSES[booking.status] || BOOKING_STATUSES.received;
+    const vehicle = getVehicle(booking.vehicle);
+    const route = booking.destination
+      ? `${escapeHtml(booking.pickup)} → ${escapeHtml(booking.destination)}`
+      : escapeHtml(booking.pickup);
+    const trip = [
+      TRIP_TYPES[booking.tripType]?.label,
+      booking.returnDate && `back ${booking.returnDate}`,
+      booking.days && `${booking.days} days`,
+      booking.flightNumber && `flight ${booking.flightNumber}`,
+      getHourlyPackage(booking.hoursPackage)?.label,
+      booking.pilgrimage && `darshan ${booking.pilgrimage.darshanDate} ${booking.pilgrimage.darshanTime}`
+    ].filter(Boolean).map(escapeHtml).join(' · ');
+    // A pilgrim group may need several vans, each taken off availability
+    const group = [
+      booking.pilgrimage?.vans?.length > 1 ? describeVans(booking.pilgrimage.vans) : vehicle?.name || booking.vehicleName,
+      booking.passengers && `${booking.passengers} pax`,
+      booking.luggage && `${booking.luggage} bags`
+    ].filter(Boolean).map(escapeHtml).join(' · ');
+
+    return `
+      <article class="dashboard-booking${this.highlighted.has(booking.id) ? ' is-new' : ''}">
+        <header>
+          <strong class="dashboard-reference">${escapeHtml(booking.reference || booking.id)}</strong>
+          <span class="status-badge status-${escapeHtml(booking.status)}">${status.label}</span>
+          <time>${escapeHtml(booking.date)} ${escapeHtml(booking.time)}</time>
+        </header>
+        <p class="dashboard-route">${route}</p>
+        <p class="dashboard-meta">${trip}</p>
+        ${booking.pilgrimage?.outOfSeason ? `
+          <p class="dashboard-meta dashboard-warning">
+            <i class="fas fa-exclamation-triangle"></i> Darshan date is outside the temple season. Check the temple is open.
+          </p>
+        ` : ''}
+        <p class="dashboard-meta">${group}</p>
+        <p class="dashboard-meta">
+          ${escapeHtml(booking.name)} ·
+          <a href="tel:${escapeHtml(booking.phone)}">${escapeHtml(formatPhoneNumber(booking.phone))}</a>
+          ${booking.fareEstimate ? ` · est. ${formatCurrency(booking.fareEstimate)}` : ''}
+        </p>
+        ${booking.driver ? `
+          <p class="dashboard-meta">
+            <i class="fas fa-user"></i> ${escapeHtml(booking.driver.name)}
+            ${booking.driver.phone ? `(${escapeHtml(formatPhoneNumber(booking.driver.phone))})` : ''}
+            · <span class="vehicle-number">${escapeHtml(booking.vehicleNumber)}</span>
+            ${booking.vehicleModel ? escapeHtml(getVehicle(booking.vehicleModel)?.name || booking.vehicleModel) : ''}
+          </p>
+        ` : ''}
+        ${booking.status === 'cancelled' && booking.cancelReason ? `
+          <p class="dashboard-meta">Cancelled: ${escapeHtml(booking.cancelReason)}</p>
+        ` : ''}
+        <div class="dashboard-actions">
+          ${getAvailableActions(booking).map(action => `
+            <button type="button" class="btn btn-sm${action === 'cancel' ? ' btn-outline' : ' btn-primary'}"
+                    data-action="${action}" data-id="${escapeHtml(booking.id)}">
+              ${OPERATOR_ACTIONS[action].label}
+            </button>
+          `).join('')}
+        </div>
+      </article>
+    `;
+  }
+}
@@ -0,0 +1,253 @@
+/**
+ * Fare Estimator
+ * Price estimates for the Quick Booking form
+ */
+
+import { debounce, formatCurrency } from './utils.js';
+import { findPlace, getPlace, getDistance } from './places.js';
+import { getVehicle } from './fleet.js';
+import { TRIP_TYPES, getHourlyPackage, getTripDays } from './trips.js';
+import { isNightTime } from './schedule.js';
+import { getPricingRules, getPricingLines } from './pricing.js';
+
+// Tariff per vehicle class (matches the fleet tabs on the home page)
+export const TARIFFS = {
+  sedans: {
+    label: 'Sedan',
+    perKm: 13,
+    driverBata: 400,
+    nightCharge: 250,
+    tollMultiplier: 1,
+    minimumFare: 300,
+    minKmPerDay: 250,
+    packages: { '4h40km': 1000, '8h80km': 1800, '12h120km': 2600 }
+  },
+  suvs: {
+    label: 'SUV',
+    perKm: 18,
+    driverBata: 500,
+    nightCharge: 300,
+    tollMultiplier: 1,
+    minimumFare: 450,
+    minKmPerDay: 250,
+    packages: { '4h40km': 1400, '8h80km': 2600, '12h120km': 3800 }
+  },
+  vans: {
+    label: 'Van',
+    perKm: 24,
+    driverBata: 700,
+    nightCharge: 400,
+    tollMultiplier: 1.6, // Tempo Travellers and coaches pay LCV toll rates
+    minimumFare: 900,
+    minKmPerDay: 250,
+    packages: { '4h40km': 2400, '8h80km': 4200, '12h120km': 6000 }
+  }
+};
+
+// Trips longer than this are outstation and include driver bata
+export const OUTSTATION_KM = 40;
+
+// Calculate a fare breakdown. Amounts are whole rupees. `date` and the
+// trip's `placeIds` pick the seasonal and holiday rules in pricing.js; the
+// rules that applied are returned as `pricing`.
+export function estimateFare({
+  distanceKm = 0,
+  vehicleClass = 'sedans',
+  date = '',
+  time = '',
+  placeIds = [],
+  days = 1,
+  toll = 0,
+  tripType = 'oneway',
+  hoursPackage = null
+}) {
+  const tariff = TARIFFS[vehicleClass];
+  if (!tariff) {
+    throw new Error(`Unknown vehicle class: ${vehicleClass}`);
+  }
+
+  if (tripType === 'hourly') {
+    return estimateHourlyFare(tariff, { vehicleClass, date, time, placeIds, hoursPackage });
+  }
+
+  const isRoundTrip = TRIP_TYPES[tripType]?.roundTrip || false;
+  const travelKm = isRoundTrip ? distanceKm * 2 : distanceKm;
+  const isOutstation = distanceKm > OUTSTATION_KM;
+
+  // Outstation round trips are billed for a minimum distance per day
+  const chargeableKm = isRoundTrip && isOutstation
+    ? Math.max(travelKm, tariff.minKmPerDay * days)
+    : travelKm;
+
+  const lines = [
+    {
+      label: `${chargeableKm} km × ${formatCurrency(tariff.perKm)}/km${chargeableKm > travelKm ? ` (min ${tariff.minKmPerDay} km/day)` : ''}`,
+      amount: Math.round(chargeableKm * tariff.perKm)
+    }
+  ];
+
+  if (isOutstation) {
+    lines.push({ label: `Driver bata (${days} day${days > 1 ? 's' : ''})`, amount: tariff.driverBata * days });
+  }
+
+  if (isNightTime(time)) {
+    lines.push({ label: 'Night charge', amount: tariff.nightCharge });
+  }
+
+  const tripToll = isRoundTrip ? toll * 2 : toll;
+  if (tripToll > 0) {
+    lines.push({ label: 'Toll & entry allowance', amount: Math.round(tripToll * tariff.tollMultiplier) });
+  }
+
+  const pricing = getPricingRules({ date, placeIds, vehicleClass });
+  return finalizeFare(tariff, { vehicleClass, tripType, distanceKm: chargeableKm, days, isOutstation, pricing, lines });
+}
+
+function estimateHourlyFare(tariff, { vehicleClass, date, time, placeIds, hoursPackage }) {
+  const pkg = getHourlyPackage(hoursPackage);
+  if (!pkg) {
+    throw new Error(`Unknown rental package: ${hoursPackage}`);
+  }
+
+  const lines = [{ label: `${pkg.label} package`, amount: tariff.packages[pkg.id] }];
+
+  if (isNightTime(time)) {
+    lines.push({ label: 'Night charge', amount: tariff.nightCharge });
+  }
+
+  const pricing = getPricingRules({ date, placeIds, vehicleClass });
+  return finalizeFare(tariff, { vehicleClass, tripType: 'hourly', distanceKm: pkg.km, days: 1, isOutstation: false, pricing, lines });
+}
+
+// Tops the fare up to the minimum, then adds the seasonal and holiday
+// `pricing` rules on the distance charge (the first line). Peak pricing
+// comes after the minimum so it is never absorbed by the adjustment.
+function finalizeFare(tariff, { lines, pricing, ...details }) {
+  const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+  if (subtotal < tariff.minimumFare) {
+    lines.push({ label: 'Minimum fare adjustment', amount: tariff.minimumFare - subtotal });
+  }
+
+  const pricingLines = getPricingLines(pricing, { base: lines[0].amount, vehicleClass: details.vehicleClass })
+    .filter(line => line.amount > 0);
+  lines.push(...pricingLines);
+
+  return {
+    ...details,
+    pricing: pricing.filter(rule => pricingLines.some(line => line.rule === rule.id)),
+    lines,
+    total: Math.max(subtotal, tariff.minimumFare) + pricingLines.reduce((sum, line) => sum + line.amount, 0)
+  };
+}
+
+// Fare Estimate Component
+export class FareEstimator {
+  constructor(formId) {
+    this.form = document.getElementById(formId);
+    this.estimate = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.form) return;
+
+    this.container = this.form.querySelector('.fare-estimate');
+    if (!this.container) {
+      this.container = document.createElement('div');
+      this.container.className = 'fare-estimate';
+      this.form.querySelector('button[type="submit"]')?.before(this.container);
+    }
+
+    this.bindEvents();
+    this.update();
+  }
+
+  bindEvents() {
+    const update = debounce(() => this.update(), 250);
+    this.form.addEventListener('input', update);
+    this.form.addEventListener('change', update);
+    this.form.addEventListener('reset', () => setTimeout(() => this.update(), 0));
+  }
+
+  getValue(name) {
+    return this.form.elements[name]?.value || '';
+  }
+
+  // Use the place picked from the autocomplete, else match the typed text
+  getPlaceFor(name) {
+    return getPlace(this.getValue(`${name}PlaceId`)) || findPlace(this.getValue(name));
+  }
+
+  update() {
+    const tripType = this.getValue('tripType') || 'oneway';
+    const vehicleClass = getVehicle(this.getValue('vehicle'))?.vehicleClass || 'sedans';
+    const date = this.getValue('date');
+    const time = this.getValue('time');
+
+    if (tripType === 'hourly') {
+      const hoursPackage = this.getValue('hoursPackage');
+      const pickup = this.getPlaceFor('pickup');
+      this.estimate = getHourlyPackage(hoursPackage)
+        ? estimateFare({ tripType, vehicleClass, date, time, placeIds: pickup ? [pickup.id] : [], hoursPackage })
+        : null;
+      this.render();
+      return;
+    }
+
+    const pickup = this.getPlaceFor('pickup');
+    const destination = this.getPlaceFor('destination');
+
+    if (!pickup || !destination) {
+      this.estimate = null;
+      this.render();
+      return;
+    }
+
+    const route = getDistance(pickup.id, destination.id);
+    this.estimate = {
+      ...estimateFare({
+        distanceKm: route.km,
+        vehicleClass,
+        date,
+        time,
+        placeIds: [pickup.id, destination.id],
+        toll: route.toll,
+        tripType,
+        days: getTripDays({
+          tripType,
+          date,
+          returnDate: this.getValue('returnDate'),
+          days: this.getValue('days')
+        })
+      }),
+      approximate: route.approximate
+    };
+
+    this.render();
+  }
+
+  render() {
+    if (!this.estimate) {
+      const hasInput = this.getValue('pickup') && this.getValue('destination');
+      this.container.innerHTML = hasInput
+        ? '<p class="fare-note">We will confirm the fare for this route when we call you.</p>'
+        : '';
+      return;
+    }
+
+    const { lines, total, pricing, approximate } = this.estimate;
+    this.container.innerHTML = `
+      <h4 class="fare-title">Estimated Fare</h4>
+      <ul class="fare-lines">
+        ${lines.map(line => `
+          <li${line.rule ? ' class="fare-line-rule"' : ''}><span>${line.label}</span><span>${formatCurrency(line.amount)}</span></li>
+        `).join('')}
+      </ul>
+      <div class="fare-total"><span>Total</span><span>${formatCurrency(total)}</span></div>
+      <p class="fare-note">
+        ${approximate ? 'Distance is approximate. ' : ''}${pricing.length ? 'Peak-date pricing applies on your pickup date. ' : ''}Final fare is based on actual kilometres and tolls.
+      </p>
+    `;
+  }
+}
@@ -0,0 +1,267 @@
+/**
+ * Fleet
+ * Vehicle list, capacity matching and the booking form's vehicle picker
+ */
+
+import { escapeHtml } from './utils.js';
+
+// Vehicle details live in one place, the fleet catalogue. Every page that
+// shows or books a vehicle waits for it. If the catalogue can't be loaded
+// the pages keep their fallback links rather than breaking every component
+// that imports this module.
+const CATALOGUE_URL = new URL('../data/fleet.json', import.meta.url);
+
+const EMPTY_CATALOGUE = { classes: [], vehicles: [] };
+
+async function loadCatalogue() {
+  try {
+    const response = await fetch(CATALOGUE_URL);
+    if (!response.ok) {
+      throw new Error(`Could not load the fleet catalogue (HTTP ${response.status})`);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error loading fleet catalogue:', error);
+    return EMPTY_CATALOGUE;
+  }
+}
+
+const catalogue = await loadCatalogue();
+
+// Fleet tabs and nav menu groups, in display order
+export const VEHICLE_CLASSES = catalogue.classes;
+
+// `vehicleClass` matches the fleet tabs and the tariffs in fare.js. Variants
+// (`variantOf`) share their parent's page and fleet card.
+export const VEHICLES = catalogue.vehicles;
+
+export const DEFAULT_VEHICLE_ID = 'dzire';
+
+// Vans pilgrim groups are sized into, smallest first, and the most one group
+// booking can take; bigger groups are planned by phone
+export const PILGRIM_VANS = catalogue.pilgrimVans?.vehicles ?? [];
+export const MAX_PILGRIM_VANS = catalogue.pilgrimVans?.maxPerBooking ?? 0;
+
+// Largest group a single vehicle can take. Without the catalogue the
+// server is left to check the group size.
+export const MAX_PASSENGERS = VEHICLES.length ? Math.max(...VEHICLES.map(vehicle => vehicle.seats)) : Infinity;
+
+const CLASS_LABELS = Object.fromEntries(VEHICLE_CLASSES.map(vehicleClass => [vehicleClass.id, vehicleClass.label]));
+
+export function getVehicle(id) {
+  return VEHICLES.find(vehicle => vehicle.id === id) || null;
+}
+
+export function getVariants(vehicle) {
+  return VEHICLES.filter(variant => variant.variantOf === vehicle.id);
+}
+
+// Match a vehicle by id, display name or alias (e.g. a `.fleet-name` heading)
+export function findVehicle(name) {
+  const text = String(name || '').toLowerCase().trim();
+  if (!text) return null;
+
+  return VEHICLES.find(vehicle =>
+    vehicle.id === text ||
+    vehicle.name.toLowerCase() === text ||
+    vehicle.aliases.includes(text)
+  ) || null;
+}
+
+// Does a vehicle take this group? Seats are a hard limit; bags that don't fit
+// the boot can still go on a carrier, so luggage only earns a warning.
+export function checkFit(vehicle, { passengers = 1, luggage = 0 } = {}) {
+  return {
+    seats: passengers <= vehicle.seats,
+    luggage: luggage <= vehicle.luggage
+  };
+}
+
+// Recommend vehicles for a group. Returns the ids that fit (seats and bags),
+// the smallest such vehicle, and per-class advice for the fleet tabs.
+export function matchCapacity({ passengers = 1, luggage = 0 } = {}) {
+  const group = { passengers, luggage };
+  const fits = VEHICLES.filter(vehicle => {
+    const fit = checkFit(vehicle, group);
+    return fit.seats && fit.luggage;
+  });
+
+  // Smallest comfortable vehicle, falling back to one that at least seats everyone
+  const bySize = (a, b) => a.seats - b.seats || a.luggage - b.luggage;
+  const recommended = [...fits].sort(bySize)[0] ||
+    VEHICLES.filter(vehicle => checkFit(vehicle, group).seats).sort(bySize)[0] ||
+    null;
+
+  const classes = {};
+  Object.keys(CLASS_LABELS).forEach(vehicleClass => {
+    classes[vehicleClass] = fits.some(vehicle => vehicle.vehicleClass === vehicleClass);
+  });
+
+  return {
+    passengers,
+    luggage,
+    fits: fits.map(vehicle => vehicle.id),
+    recommended,
+    classes
+  };
+}
+
+function toCount(value, fallback) {
+  const count = parseInt(value, 10);
+  return Number.isNaN(count) ? fallback : count;
+}
+
+// Field validators for FormHandler
+export const capacityValidators = {
+  passengers(value) {
+    const passengers = toCount(value, 0);
+    if (passengers < 1) return 'Please enter at least 1 passenger';
+    if (passengers > MAX_PASSENGERS) {
+      return `Our largest vehicle seats ${MAX_PASSENGERS}. Call us to book more than one vehicle.`;
+    }
+    return '';
+  },
+
+  luggage(value) {
+    return toCount(value, 0) < 0 ? 'Luggage cannot be negative' : '';
+  },
+
+  vehicle(value, form) {
+    const vehicle = getVehicle(value);
+    const passengers = toCount(form.elements.passengers?.value, 1);
+    if (!vehicle || checkFit(vehicle, { passengers }).seats) return '';
+    return `${vehicle.name} seats ${vehicle.seats}. Please choose a larger vehicle.`;
+  }
+};
+
+// Vehicle Picker Component
+export class VehiclePicker {
+  constructor(formId, options = {}) {
+    this.form = document.getElementById(formId);
+    this.select = this.form?.querySelector('select[name="vehicle"]');
+    this.options = {
+      onMatch: null,
+      ...options
+    };
+
+    this.match = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.select) return;
+
+    this.renderOptions();
+    this.capacity = document.createElement('div');
+    this.capacity.className = 'vehicle-capacity';
+    this.select.parentNode.appendChild(this.capacity);
+
+    this.bindEvents();
+    this.updateCapacity();
+  }
+
+  bindEvents() {
+    this.select.addEventListener('change', () => this.updateCapacity());
+
+    ['passengers', 'luggage'].forEach(name => {
+      this.form.elements[name]?.addEventListener('input', () => this.updateCapacity());
+    });
+
+    this.capacity.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-suggest-vehicle]');
+      if (button) this.selectVehicle(getVehicle(button.dataset.suggestVehicle));
+    });
+
+    this.form.addEventListener('reset', () => setTimeout(() => this.updateCapacity(), 0));
+  }
+
+  renderOptions() {
+    // Nothing to offer when the catalogue didn't load
+    if (!VEHICLES.length) return;
+
+    this.select.innerHTML = Object.entries(CLASS_LABELS).map(([vehicleClass, label]) => `
+      <optgroup label="${label}">
+        ${VEHICLES.filter(vehicle => vehicle.vehicleClass === vehicleClass).map(vehicle => `
+          <option value="${vehicle.id}"${vehicle.id === DEFAULT_VEHICLE_ID ? ' selected' : ''}>
+            ${this.getOptionLabel(vehicle)}
+          </option>
+        `).join('')}
+      </optgroup>
+    `).join('');
+  }
+
+  getOptionLabel(vehicle, tooSmall = false) {
+    return `${vehicle.name} (${vehicle.seats} seats)${tooSmall ? ' – too small' : ''}`;
+  }
+
+  get selected() {
+    return getVehicle(this.select?.value);
+  }
+
+  // Group size from the form, if it asks for one
+  get group() {
+    const passengers = this.form.elements.passengers;
+    if (!passengers) return null;
+
+    return {
+      passengers: Math.max(toCount(passengers.value, 1), 1),
+      luggage: Math.max(toCount(this.form.elements.luggage?.value, 0), 0)
+    };
+  }
+
+  selectVehicle(vehicle) {
+    if (!this.select || !vehicle) return;
+
+    this.select.value = vehicle.id;
+    this.select.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  updateCapacity() {
+    const vehicle = this.selected;
+    const group = this.group;
+    this.match = group ? matchCapacity(group) : null;
+
+    Array.from(this.select.options).forEach(option => {
+      const optionVehicle = getVehicle(option.value);
+      if (!optionVehicle) return;
+
+      const tooSmall = group ? !checkFit(optionVehicle, group).seats : false;
+      option.textContent = this.getOptionLabel(optionVehicle, tooSmall);
+    });
+
+    this.capacity.innerHTML = vehicle
+      ? `<span><i class="fas fa-users"></i> ${vehicle.seats} seats</span>
+         <span><i class="fas fa-suitcase"></i> ${vehicle.luggage} bags</span>
+         ${this.renderAdvice(vehicle)}`
+      : '';
+
+    if (this.options.onMatch) {
+      this.options.onMatch(this.match);
+    }
+  }
+
+  renderAdvice(vehicle) {
+    if (!this.match) return '';
+
+    const { passengers, recommended } = this.match;
+    const fit = checkFit(vehicle, this.match);
+    if (fit.seats && fit.luggage) return '';
+
+    const problem = fit.seats
+      ? `Only ${vehicle.luggage} bags fit in the ${escapeHtml(vehicle.name)}; extra bags go on the roof carrier.`
+      : `The ${escapeHtml(vehicle.name)} seats ${vehicle.seats}, not enough for ${passengers} passengers.`;
+    const suggestion = recommended && recommended.id !== vehicle.id
+      ? `<button type="button" class="link-btn" data-suggest-vehicle="${recommended.id}">
+           Switch to ${escapeHtml(recommended.name)}
+         </button>`
+      : '';
+
+    return `
+      <p class="capacity-advice${fit.seats ? '' : ' is-warning'}" role="status">
+        ${problem}
+        ${suggestion}
+      </p>
+    `;
+  }
+}
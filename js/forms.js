@@ -0,0 +1,139 @@
+/**
+ * Forms
+ * Registers every `<form data-form="...">` on a page with FormHandler so all
+ * forms share validation, submission, toasts and analytics
+ */
+
+import { FormHandler } from './components.js';
+import { WhatsAppHandoff } from './whatsapp.js';
+import { tripValidators } from './trips.js';
+import { capacityValidators } from './fleet.js';
+import { scheduleValidators } from './schedule.js';
+import { statusValidators } from './status.js';
+import { availabilityValidators } from './availability.js';
+import { itineraryValidators, buildItineraryBooking } from './itinerary.js';
+import { pilgrimageValidators, buildPilgrimageDetails } from './pilgrimage.js';
+import { normalizePhone, normalizeReference, formatCurrency, trackEvent } from './utils.js';
+
+// Not-found and policy errors from the server are written for customers
+const showCustomerErrors = (error) => ([404, 409].includes(error.status) ? error.message : null);
+
+// Settings per form type. Pages pick a type with `data-form`.
+export const FORM_PRESETS = {
+  booking: {
+    endpoint: 'bookings',
+    successMessage: (response) => {
+      const reference = response?.booking?.reference;
+      return reference
+        ? `Booking ${reference} received! We will call you shortly to confirm.`
+        : 'Booking received! We will call you shortly to confirm.';
+    },
+    validators: {
+      ...tripValidators,
+      ...scheduleValidators,
+      ...capacityValidators,
+      date: (value, form) => scheduleValidators.date(value, form) || availabilityValidators.date(value, form)
+    },
+    errorMessage: showCustomerErrors,
+    draft: true
+  },
+
+  itinerary: {
+    endpoint: 'bookings',
+    successMessage: (response) => {
+      const reference = response?.booking?.reference;
+      return reference
+        ? `Trip plan ${reference} received! We will call you to confirm the route and fare.`
+        : 'Trip plan received! We will call you to confirm the route and fare.';
+    },
+    serialize: (data, form) => ({
+      ...buildItineraryBooking(data, form),
+      ...buildPilgrimageDetails(data, form)
+    }),
+    validators: {
+      ...scheduleValidators,
+      ...capacityValidators,
+      ...itineraryValidators,
+      ...pilgrimageValidators,
+      date: (value, form) => scheduleValidators.date(value, form) || availabilityValidators.date(value, form)
+    },
+    errorMessage: showCustomerErrors
+  },
+
+  status: {
+    endpoint: 'bookings/lookup',
+    showSuccess: false,
+    resetOnSuccess: false,
+    validators: statusValidators,
+    serialize: (data) => ({
+      reference: normalizeReference(data.reference) || data.reference,
+      phone: normalizePhone(data.phone) || data.phone
+    }),
+    errorMessage: showCustomerErrors
+  },
+
+  reschedule: {
+    endpoint: 'bookings/reschedule',
+    successMessage: 'Pickup time changed. We will call you to reconfirm your cab.',
+    resetOnSuccess: false,
+    validators: scheduleValidators,
+    errorMessage: showCustomerErrors
+  },
+
+  cancel: {
+    endpoint: 'bookings/cancel',
+    successMessage: (response) => {
+      const fee = response?.booking?.cancellationFee;
+      return fee
+        ? `Booking cancelled. A ${formatCurrency(fee)} cancellation fee applies.`
+        : 'Booking cancelled. No fee applies.';
+    },
+    resetOnSuccess: false,
+    errorMessage: showCustomerErrors
+  },
+
+  contact: {
+    endpoint: 'messages',
+    successMessage: 'Message sent! We will get back to you shortly.',
+    draft: true,
+    serialize: (data) => ({
+      ...data,
+      phone: normalizePhone(data.phone) || data.phone
+    })
+  }
+};
+
+// Create handlers for all registered forms. `overrides` adds or replaces
+// options per form type, e.g. page-specific success callbacks.
+// Returns the handlers keyed by form id.
+export function initializeForms({ root = document, overrides = {} } = {}) {
+  const handlers = {};
+
+  root.querySelectorAll('form[data-form]').forEach(form => {
+    const type = form.dataset.form;
+    const preset = FORM_PRESETS[type];
+
+    if (!preset) {
+      console.warn(`Unknown form type "${type}" on #${form.id}`);
+      return;
+    }
+
+    const label = form.id || type;
+    const handler = new FormHandler(form, {
+      ...preset,
+      analyticsLabel: label,
+      ...overrides[type]
+    });
+
+    if (form.querySelector('[data-whatsapp]')) {
+      handler.whatsApp = new WhatsAppHandoff(form, {
+        serialize: handler.options.serialize,
+        onHandoff: () => trackEvent('WhatsApp', 'click', label)
+      });
+    }
+
+    handlers[label] = handler;
+  });
+
+  return handlers;
+}
@@ -0,0 +1,177 @@
+/**
+ * Booking History
+ * Recent trips kept in localStorage so returning customers can rebook
+ */
+
+import { storage, escapeHtml } from './utils.js';
+import { TRIP_TYPES } from './trips.js';
+
+export const HISTORY_KEY = 'bookingHistory';
+export const HISTORY_LIMIT = 5;
+
+// Fields copied back into the booking form when rebooking. Place ids come
+// after the text fields, since editing the text clears its place id.
+const REBOOK_FIELDS = [
+  'tripType', 'pickup', 'destination', 'pickupPlaceId', 'destinationPlaceId',
+  'passengers', 'luggage', 'vehicle', 'days', 'hoursPackage'
+];
+
+// Like form drafts, history keeps no contact details, so a shared device
+// doesn't leak them
+function withoutContactDetails({ name, phone, ...trip }) {
+  return trip;
+}
+
+export const bookingHistory = {
+  getAll() {
+    this.migrateLastBooking();
+    return storage.get(HISTORY_KEY, []);
+  },
+
+  add(booking) {
+    const entry = {
+      ...withoutContactDetails(booking),
+      savedAt: new Date().toISOString()
+    };
+
+    // The same trip booked again moves to the top instead of duplicating
+    const history = this.getAll().filter(item => !isSameTrip(item, entry));
+    storage.set(HISTORY_KEY, [entry, ...history].slice(0, HISTORY_LIMIT));
+    return entry;
+  },
+
+  clear() {
+    storage.remove(HISTORY_KEY);
+  },
+
+  // Older versions only stored the single latest booking, and kept the
+  // customer's name and phone
+  migrateLastBooking() {
+    const lastBooking = storage.get('lastBooking');
+    if (lastBooking) {
+      storage.remove('lastBooking');
+      if (!storage.get(HISTORY_KEY)) {
+        storage.set(HISTORY_KEY, [lastBooking]);
+      }
+    }
+
+    const history = storage.get(HISTORY_KEY, []);
+    if (history.some(item => 'name' in item || 'phone' in item)) {
+      storage.set(HISTORY_KEY, history.map(withoutContactDetails));
+    }
+  }
+};
+
+function isSameTrip(a, b) {
+  return ['tripType', 'pickup', 'destination', 'vehicle'].every(key =>
+    String(a[key] ?? '').toLowerCase() === String(b[key] ?? '').toLowerCase()
+  );
+}
+
+// Form values for rebooking a trip, optionally in the reverse direction
+export function getRebookValues(booking, { reverse = false } = {}) {
+  const values = {};
+
+  REBOOK_FIELDS.forEach(key => {
+    if (booking[key] !== undefined && booking[key] !== null) {
+      values[key] = booking[key];
+    }
+  });
+
+  if (reverse && booking.destination) {
+    values.pickup = booking.destination;
+    values.destination = booking.pickup;
+    values.pickupPlaceId = booking.destinationPlaceId ?? null;
+    values.destinationPlaceId = booking.pickupPlaceId ?? null;
+  }
+
+  return values;
+}
+
+// Booking History Panel Component
+export class BookingHistoryPanel {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      onRebook: null,
+      ...options
+    };
+
+    this.init();
+  }
+
+  init() {
+    if (!this.container) return;
+
+    this.container.addEventListener('click', (e) => this.handleClick(e));
+    this.render();
+  }
+
+  handleClick(e) {
+    const button = e.target.closest('button[data-history-action]');
+    if (!button) return;
+
+    const action = button.dataset.historyAction;
+    if (action === 'clear') {
+      bookingHistory.clear();
+      this.render();
+      return;
+    }
+
+    const booking = bookingHistory.getAll()[Number(button.dataset.index)];
+    if (booking && this.options.onRebook) {
+      this.options.onRebook(getRebookValues(booking, { reverse: action === 'reverse' }), action);
+    }
+  }
+
+  render() {
+    const history = bookingHistory.getAll();
+    this.container.hidden = history.length === 0;
+
+    if (history.length === 0) {
+      this.container.innerHTML = '';
+      return;
+    }
+
+    this.container.innerHTML = `
+      <div class="booking-history-header">
+        <h4>Your recent trips</h4>
+        <button type="button" class="link-btn" data-history-action="clear">Clear history</button>
+      </div>
+      <ul class="booking-history-list">
+        ${history.map((booking, index) => this.renderItem(booking, index)).join('')}
+      </ul>
+    `;
+  }
+
+  renderItem(booking, index) {
+    const route = booking.destination
+      ? `${escapeHtml(booking.pickup)} → ${escapeHtml(booking.destination)}`
+      : escapeHtml(booking.pickup);
+    const details = [
+      booking.reference,
+      TRIP_TYPES[booking.tripType]?.label,
+      booking.vehicleName,
+      booking.date
+    ].filter(Boolean).map(escapeHtml).join(' · ');
+
+    return `
+      <li class="booking-history-item">
+        <div class="booking-history-route">
+          <strong>${route}</strong>
+          <span>${details}</span>
+        </div>
+        <div class="booking-history-actions">
+          <button type="button" class="btn btn-primary btn-sm" data-history-action="rebook" data-index="${index}">
+            Book again
+          </button>
+          ${booking.destination ? `
+            <button type="button" class="btn btn-sm booking-history-reverse" data-history-action="reverse" data-index="${index}">
+              Reverse trip
+            </button>
+          ` : ''}
+        </div>
+      </li>
+    `;
+  }
+}
@@ -0,0 +1,413 @@
+/**
+ * Itinerary Builder
+ * Multi-stop custom trips, planned stop by stop and sent as one booking request
+ */
+
+import { escapeHtml, normalizePhone } from './utils.js';
+import { findPlace, getPlace, getDistance } from './places.js';
+import { PlaceAutocomplete } from './autocomplete.js';
+import { getVehicle } from './fleet.js';
+import { MAX_OUTSTATION_DAYS } from './trips.js';
+
+// Keep in sync with server/server.js
+export const MAX_ITINERARY_STOPS = 10;
+export const MAX_NIGHTS_PER_STOP = 14;
+
+// Drive-time estimates assume this average, allowing for ghat roads and breaks
+export const AVERAGE_SPEED_KMPH = 40;
+
+// Trips start and end here when the pickup isn't a known place
+const HOME_PLACE_ID = 'salem';
+
+// Places worth a stop. Localities, stations and airports are pickup points.
+const STOP_TYPES = ['destination', 'town'];
+
+// Road legs from the start through every stop and back again:
+// [{ from, to, km, toll, approximate }]
+export function getItineraryLegs(stops, startId = HOME_PLACE_ID) {
+  const ids = [startId, ...stops.map(stop => stop.placeId), startId];
+  return ids.slice(1).map((id, i) => ({ from: ids[i], to: id, ...getDistance(ids[i], id) }));
+}
+
+// Distance, drive time and length of a planned trip
+export function summarizeItinerary(stops, startId = HOME_PLACE_ID) {
+  const legs = stops.length ? getItineraryLegs(stops, startId) : [];
+  const km = legs.reduce((total, leg) => total + leg.km, 0);
+  const nights = stops.reduce((total, stop) => total + stop.nights, 0);
+
+  return {
+    legs,
+    km,
+    hours: km / AVERAGE_SPEED_KMPH,
+    nights,
+    days: nights + 1,
+    approximate: legs.some(leg => leg.approximate)
+  };
+}
+
+// 5.4 → "5 h 30 min", to the nearest quarter hour
+export function formatDriveTime(hours) {
+  const minutes = Math.max(15, Math.round((hours * 60) / 15) * 15);
+  const whole = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!whole) return `${rest} min`;
+  return rest ? `${whole} h ${rest} min` : `${whole} h`;
+}
+
+function formatNights(nights) {
+  return `${nights} night${nights === 1 ? '' : 's'}`;
+}
+
+// "Ooty (2 nights) → Kodaikanal (1 night) → Palani"
+export function describeItinerary(itinerary) {
+  return itinerary
+    .map(stop => (stop.nights ? `${stop.name} (${formatNights(stop.nights)})` : stop.name))
+    .join(' → ');
+}
+
+// The plan travels in a hidden `itinerary` field as JSON
+function parseStops(value) {
+  try {
+    const stops = JSON.parse(value || '[]');
+    return Array.isArray(stops) ? stops : [];
+  } catch {
+    return [];
+  }
+}
+
+function getStartId(form) {
+  return getPlace(form.elements.pickupPlaceId?.value)?.id || HOME_PLACE_ID;
+}
+
+// Field validators for FormHandler
+export const itineraryValidators = {
+  itinerary(value) {
+    const stops = parseStops(value);
+    if (stops.length === 0) return 'Please add at least one stop';
+    if (stops.length > MAX_ITINERARY_STOPS) return `Please plan at most ${MAX_ITINERARY_STOPS} stops`;
+
+    const { days } = summarizeItinerary(stops);
+    if (days > MAX_OUTSTATION_DAYS) {
+      return `Trips can be at most ${MAX_OUTSTATION_DAYS} days. Please take off a few nights.`;
+    }
+    return '';
+  }
+};
+
+// Booking request for a planned trip. The stops make up the destination, so
+// the dashboard and status page show the whole route.
+export function buildItineraryBooking(data, form) {
+  const stops = parseStops(data.itinerary);
+  const summary = summarizeItinerary(stops, getStartId(form));
+  const vehicle = getVehicle(data.vehicle);
+
+  return {
+    tripType: 'outstation',
+    pickup: data.pickup,
+    pickupPlaceId: data.pickupPlaceId || null,
+    destination: stops.map(stop => stop.name).join(' → '),
+    date: data.date,
+    time: data.time,
+    days: summary.days,
+    name: data.name,
+    phone: normalizePhone(data.phone) || data.phone,
+    vehicle: data.vehicle,
+    vehicleName: vehicle?.name ?? null,
+    vehicleClass: vehicle?.vehicleClass ?? null,
+    passengers: data.passengers ? Number(data.passengers) : null,
+    itinerary: stops.map(({ placeId, name, nights }) => ({ placeId, name, nights })),
+    distanceKm: summary.km,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Itinerary Builder Component
+// Stops are added from the places gazetteer and can be reordered by dragging
+// or with Alt + arrow keys. `data-stops` on the form seeds the plan, e.g.
+// the tour page's own destination.
+export class ItineraryBuilder {
+  constructor(form, options = {}) {
+    this.form = typeof form === 'string' ? document.getElementById(form) : form;
+    this.options = {
+      onChange: null,
+      ...options
+    };
+
+    this.stops = [];
+    this.dragIndex = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.form) return;
+
+    this.search = this.form.elements.stop;
+    this.list = this.form.querySelector('.itinerary-plan');
+    this.totals = this.form.querySelector('.itinerary-totals');
+    this.status = this.form.querySelector('.itinerary-status');
+    this.field = this.form.elements.itinerary;
+
+    this.autocomplete = new PlaceAutocomplete(this.search, {
+      types: STOP_TYPES,
+      onSelect: (place) => this.addStop(place)
+    });
+
+    this.bindEvents();
+    this.seed();
+  }
+
+  bindEvents() {
+    // Enter adds the typed place instead of submitting the form
+    this.search.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter' || e.defaultPrevented) return;
+      e.preventDefault();
+      this.addTypedStop();
+    });
+
+    this.form.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-itinerary-action]');
+      if (!button) return;
+
+      const index = Number(button.dataset.index);
+      const action = button.dataset.itineraryAction;
+      if (action === 'add') this.addTypedStop();
+      if (action === 'remove') this.removeStop(index);
+      if (action === 'up') this.moveStop(index, index - 1);
+      if (action === 'down') this.moveStop(index, index + 1);
+    });
+
+    this.list.addEventListener('change', (e) => {
+      if (e.target.matches('input[data-nights]')) {
+        this.setNights(Number(e.target.dataset.nights), e.target.value);
+      }
+    });
+
+    this.list.addEventListener('keydown', (e) => {
+      const item = e.target.closest('.itinerary-plan-stop');
+      if (!item || e.target !== item || !e.altKey) return;
+
+      const index = Number(item.dataset.index);
+      if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        this.moveStop(index, index - 1);
+      }
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        this.moveStop(index, index + 1);
+      }
+    });
+
+    this.bindDragEvents();
+
+    // Distances start from the pickup
+    this.form.addEventListener('change', (e) => {
+      if (['pickup', 'pickupPlaceId'].includes(e.target.name)) this.render();
+    });
+    this.form.addEventListener('reset', () => setTimeout(() => this.seed(), 0));
+  }
+
+  bindDragEvents() {
+    this.list.addEventListener('dragstart', (e) => {
+      const item = e.target.closest('.itinerary-plan-stop');
+      if (!item) return;
+
+      this.dragIndex = Number(item.dataset.index);
+      item.classList.add('is-dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', item.dataset.index);
+    });
+
+    this.list.addEventListener('dragover', (e) => {
+      if (this.dragIndex === null) return;
+      e.preventDefault();
+
+      this.list.querySelectorAll('.itinerary-plan-stop').forEach(item => {
+        item.classList.toggle('is-drop-target', item === e.target.closest('.itinerary-plan-stop'));
+      });
+    });
+
+    this.list.addEventListener('drop', (e) => {
+      const item = e.target.closest('.itinerary-plan-stop');
+      if (this.dragIndex === null || !item) return;
+
+      e.preventDefault();
+      this.moveStop(this.dragIndex, Number(item.dataset.index));
+    });
+
+    this.list.addEventListener('dragend', () => {
+      this.dragIndex = null;
+      this.list.querySelectorAll('.is-dragging, .is-drop-target').forEach(item => {
+        item.classList.remove('is-dragging', 'is-drop-target');
+      });
+    });
+  }
+
+  // Start again from the form's `data-stops`
+  seed() {
+    this.stops = (this.form.dataset.stops || '').split(',')
+      .map(id => getPlace(id.trim()))
+      .filter(Boolean)
+      .map(place => this.createStop(place));
+    this.render();
+  }
+
+  createStop(place) {
+    // Hill stations and temple towns usually get a night, towns on the way don't
+    return { placeId: place.id, name: place.name, nights: place.type === 'destination' ? 1 : 0 };
+  }
+
+  addTypedStop() {
+    const query = this.search.value.trim();
+    const place = this.autocomplete.place || findPlace(query);
+
+    if (!query && !place) {
+      this.announce('Type a place to add it as a stop.');
+    } else if (!place) {
+      this.announce(`We couldn't find "${query}". Please pick a place from the list.`);
+    } else if (!STOP_TYPES.includes(place.type)) {
+      this.announce(`${place.name} is a pickup point. Please pick a town or destination to visit.`);
+    } else {
+      this.addStop(place);
+    }
+  }
+
+  addStop(place) {
+    if (this.stops.length >= MAX_ITINERARY_STOPS) {
+      this.announce(`You can plan up to ${MAX_ITINERARY_STOPS} stops.`);
+      return;
+    }
+
+    this.stops.push(this.createStop(place));
+    this.search.value = '';
+    this.autocomplete.placeIdInput.value = '';
+    this.autocomplete.close();
+
+    this.render();
+    this.announce(`${place.name} added as stop ${this.stops.length}.`);
+  }
+
+  removeStop(index) {
+    const [stop] = this.stops.splice(index, 1);
+    if (!stop) return;
+
+    this.render();
+    this.focusStop(Math.min(index, this.stops.length - 1));
+    this.announce(`${stop.name} removed.`);
+  }
+
+  moveStop(from, to) {
+    if (from === to || to < 0 || to >= this.stops.length || !this.stops[from]) return;
+
+    const [stop] = this.stops.splice(from, 1);
+    this.stops.splice(to, 0, stop);
+
+    this.render();
+    this.focusStop(to);
+    this.announce(`${stop.name} moved to stop ${to + 1} of ${this.stops.length}.`);
+  }
+
+  setNights(index, value) {
+    const stop = this.stops[index];
+    if (!stop) return;
+
+    const nights = parseInt(value, 10);
+    stop.nights = Math.min(MAX_NIGHTS_PER_STOP, Math.max(0, Number.isNaN(nights) ? 0 : nights));
+    this.render();
+  }
+
+  focusStop(index) {
+    this.list.querySelector(`.itinerary-plan-stop[data-index="${index}"]`)?.focus();
+  }
+
+  announce(message) {
+    if (this.status) this.status.textContent = message;
+  }
+
+  get summary() {
+    return summarizeItinerary(this.stops, getStartId(this.form));
+  }
+
+  // ===== Rendering =====
+
+  render() {
+    const summary = this.summary;
+    const start = getPlace(getStartId(this.form));
+
+    // The availability check reads the trip length from `days`
+    this.field.value = JSON.stringify(this.stops);
+    if (this.form.elements.days) this.form.elements.days.value = summary.days;
+    // Clears a "please add a stop" error once the plan changes
+    this.field.dispatchEvent(new Event('input', { bubbles: true }));
+
+    this.renderStops(summary, start);
+    this.renderTotals(summary, start);
+
+    if (this.options.onChange) {
+      this.options.onChange(this.stops, summary);
+    }
+  }
+
+  renderStops(summary, start) {
+    if (this.stops.length === 0) {
+      this.list.innerHTML = '<li class="itinerary-plan-empty">No stops yet. Search for a place to start your trip.</li>';
+      return;
+    }
+
+    let runningKm = 0;
+    this.list.innerHTML = this.stops.map((stop, i) => {
+      const leg = summary.legs[i];
+      const from = i === 0 ? start.name : this.stops[i - 1].name;
+      runningKm += leg.km;
+
+      return `
+        <li class="itinerary-plan-stop" draggable="true" tabindex="0" data-index="${i}"
+            aria-label="Stop ${i + 1} of ${this.stops.length}: ${escapeHtml(stop.name)}, ${formatNights(stop.nights)}. Alt and arrow keys move it.">
+          <span class="itinerary-plan-handle" aria-hidden="true"><i class="fas fa-grip-vertical"></i></span>
+          <div class="itinerary-plan-place">
+            <strong>${i + 1}. ${escapeHtml(stop.name)}</strong>
+            <span>
+              ${leg.km} km from ${escapeHtml(from)} · about ${formatDriveTime(leg.km / AVERAGE_SPEED_KMPH)}
+              · ${runningKm} km so far
+            </span>
+          </div>
+          <label class="itinerary-plan-nights">
+            Nights
+            <input type="number" min="0" max="${MAX_NIGHTS_PER_STOP}" value="${stop.nights}" data-nights="${i}" />
+          </label>
+          <div class="itinerary-plan-actions">
+            <button type="button" data-itinerary-action="up" data-index="${i}"
+                    aria-label="Move ${escapeHtml(stop.name)} earlier" ${i === 0 ? 'disabled' : ''}>
+              <i class="fas fa-arrow-up"></i>
+            </button>
+            <button type="button" data-itinerary-action="down" data-index="${i}"
+                    aria-label="Move ${escapeHtml(stop.name)} later" ${i === this.stops.length - 1 ? 'disabled' : ''}>
+              <i class="fas fa-arrow-down"></i>
+            </button>
+            <button type="button" data-itinerary-action="remove" data-index="${i}"
+                    aria-label="Remove ${escapeHtml(stop.name)}">
+              <i class="fas fa-times"></i>
+            </button>
+          </div>
+        </li>
+      `;
+    }).join('');
+  }
+
+  renderTotals(summary, start) {
+    if (this.stops.length === 0) {
+      this.totals.innerHTML = '';
+      return;
+    }
+
+    const back = summary.legs[summary.legs.length - 1];
+    this.totals.innerHTML = `
+      <span>Back to ${escapeHtml(start.name)}: ${back.km} km</span>
+      <strong>
+        ${summary.days} day${summary.days === 1 ? '' : 's'} · about ${summary.km} km
+        · ${formatDriveTime(summary.hours)} driving
+      </strong>
+      ${summary.approximate ? '<small>Some distances are approximate. We will confirm the route when we call.</small>' : ''}
+    `;
+  }
+}
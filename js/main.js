@@ -8,10 +8,10 @@ import {
   TestimonialsSlider, 
   FleetTabs, 
   BackToTop, 
-  FormHandler, 
   Preloader,
   ScrollReveal,
-  CounterAnimation
+  CounterAnimation,
+  showToast
 } from './components.js';
 
 import {
@@ -26,13 +26,34 @@ import {
   IntersectionAnimationController
 } from './animations.js';
 
-import { getCurrentDate, getCurrentTime, storage } from './utils.js';
+import { FareEstimator } from './fare.js';
+import { renderFleetCatalogue, FleetCardSlider } from './catalogue.js';
+import { VehicleComparison } from './compare.js';
+import { ItineraryTimeline } from './tours.js';
+import { ItineraryBuilder } from './itinerary.js';
+import { PackageCalculator } from './packages.js';
+import { PilgrimageMode } from './pilgrimage.js';
+import { PlaceAutocomplete } from './autocomplete.js';
+import { VEHICLES, VehiclePicker, getVehicle, findVehicle } from './fleet.js';
+import { TripTypeSelector, getTripDays } from './trips.js';
+import { initializeForms } from './forms.js';
+import { getEarliestPickup, getMaxDate, isNightTime } from './schedule.js';
+import { BookingHistoryPanel, bookingHistory } from './history.js';
+import { BookingConfirmation } from './confirmation.js';
+import { BookingStatusView, getReferenceFromUrl } from './status.js';
+import { BookingManagePanel } from './manage.js';
+import { AvailabilityCalendar } from './availability.js';
+
+import { getCurrentDate, normalizePhone, trackEvent } from './utils.js';
 
 class TaxiWebsiteApp {
   constructor() {
     this.components = {};
     this.animationControllers = {};
     this.isInitialized = false;
+    // Pickup date/time each input was last given by default, so untouched
+    // defaults can follow the trip type
+    this.pickupDefaults = new WeakMap();
     
     this.init();
   }
@@ -82,16 +103,57 @@ class TaxiWebsiteApp {
 
   initializeComponents() {
     try {
+      // Fleet cards, vehicle specs and nav menus come from the catalogue and
+      // have to be in place before anything binds to them
+      renderFleetCatalogue();
+
       // Core navigation
       this.components.navigation = new Navigation();
       
       // Interactive components
       this.components.testimonialsSlider = new TestimonialsSlider();
       this.components.fleetTabs = new FleetTabs();
+      this.components.fleetSliders = Array.from(
+        document.querySelectorAll('.fleet-card'),
+        card => new FleetCardSlider(card)
+      );
+      
+      // Comparing vehicles ends in the booking form with the chosen one
+      this.components.vehicleComparison = new VehicleComparison('.vehicle-comparison', {
+        onChoose: (vehicle) => {
+          this.trackEvent('Compare', 'choose', vehicle.name);
+          if (this.components.vehiclePicker?.select) {
+            this.components.vehiclePicker.selectVehicle(vehicle);
+            this.scrollToBookingForm();
+          } else {
+            window.location.href = `index.html?vehicle=${encodeURIComponent(vehicle.id)}#booking-form`;
+          }
+        }
+      });
       this.components.backToTop = new BackToTop();
       this.components.scrollReveal = new ScrollReveal();
       this.components.counterAnimation = new CounterAnimation();
       
+      // Day-by-day itineraries on the tour pages
+      this.components.itineraries = Array.from(
+        document.querySelectorAll('.tour-itinerary[data-tour]'),
+        itinerary => new ItineraryTimeline(itinerary, { section: itinerary.closest('section') })
+      );
+      
+      // Availability calendars on the vehicle pages open the booking form
+      // with the chosen vehicle and date
+      this.components.availabilityCalendars = Array.from(
+        document.querySelectorAll('.availability-calendar[data-vehicle]'),
+        calendar => new AvailabilityCalendar(calendar, {
+          vehicleClass: getVehicle(calendar.dataset.vehicle)?.vehicleClass,
+          section: calendar.closest('section'),
+          onSelect: (date) => {
+            this.trackEvent('Availability', 'select', calendar.dataset.vehicle);
+            window.location.href = `index.html?vehicle=${encodeURIComponent(calendar.dataset.vehicle)}&date=${date}#booking-form`;
+          }
+        })
+      );
+      
       console.log('📦 Components initialized');
     } catch (error) {
       console.error('Error initializing components:', error);
@@ -135,27 +197,108 @@ class TaxiWebsiteApp {
 
   initializeForms() {
     try {
-      // Booking form
+      // Booking form helpers first, so a restored draft updates them too
       const bookingForm = document.getElementById('booking-form');
       if (bookingForm) {
-        this.components.bookingForm = new FormHandler('booking-form', {
-          showSuccess: true,
-          resetOnSuccess: true
+        this.components.tripTypeSelector = new TripTypeSelector('booking-form');
+        this.components.pickupAutocomplete = new PlaceAutocomplete('pickup');
+        this.components.destinationAutocomplete = new PlaceAutocomplete('destination');
+        this.components.vehiclePicker = new VehiclePicker('booking-form', {
+          onMatch: (match) => this.highlightFleet(match)
+        });
+        this.components.fareEstimator = new FareEstimator('booking-form');
+        this.components.bookingAvailability = new AvailabilityCalendar(bookingForm.querySelector('.availability-calendar'), {
+          vehicleClass: getVehicle(bookingForm.elements.vehicle?.value)?.vehicleClass,
+          onSelect: (date) => this.components.bookingForm.setFormData({ date })
         });
         
-        // Add custom booking form logic
-        bookingForm.addEventListener('submit', (e) => this.handleBookingSubmit(e));
+        bookingForm.addEventListener('change', (e) => {
+          if (e.target.name === 'vehicle') {
+            this.components.bookingAvailability.setVehicleClass(getVehicle(e.target.value)?.vehicleClass);
+          }
+          if (e.target.name === 'date') {
+            this.components.bookingAvailability.setSelected(e.target.value);
+          }
+        });
       }
       
-      // Contact form
-      const contactForm = document.getElementById('contact-form');
-      if (contactForm) {
-        this.components.contactForm = new FormHandler('contact-form', {
-          showSuccess: true,
-          resetOnSuccess: true
+      // Package price calculator on the tour pages
+      const packageForm = document.getElementById('package-form');
+      if (packageForm) {
+        this.components.packageVehiclePicker = new VehiclePicker('package-form');
+        this.components.packageCalculator = new PackageCalculator(packageForm, {
+          section: packageForm.closest('section')
         });
       }
       
+      // Custom trip planner on the tour pages
+      const itineraryForm = document.getElementById('itinerary-form');
+      if (itineraryForm) {
+        this.components.itineraryPickupAutocomplete = new PlaceAutocomplete('itinerary-pickup');
+        this.components.itineraryVehiclePicker = new VehiclePicker('itinerary-form');
+        this.components.itineraryBuilder = new ItineraryBuilder(itineraryForm);
+        this.components.pilgrimageMode = new PilgrimageMode(itineraryForm);
+      }
+      
+      // Booking status lookup page
+      const statusForm = document.getElementById('status-form');
+      if (statusForm) {
+        this.components.bookingStatus = new BookingStatusView(document.querySelector('.booking-status'));
+        this.components.bookingManage = new BookingManagePanel(document.querySelector('.booking-manage'));
+        
+        const reference = getReferenceFromUrl();
+        if (reference) statusForm.elements.reference.value = reference;
+      }
+      
+      // Every <form data-form="..."> on the page
+      this.components.forms = initializeForms({
+        overrides: {
+          booking: {
+            serialize: (data) => this.buildBookingData(data),
+            onSuccess: (response, bookingData) => this.handleBookingSubmit(response, bookingData),
+            onError: (error) => {
+              if (error.code === 'fully_booked') this.components.bookingAvailability?.refresh();
+            }
+          },
+          itinerary: {
+            onSuccess: (response, bookingData) => {
+              this.trackEvent('Itinerary', 'submit', `${bookingData.itinerary.length} stops`);
+            }
+          },
+          status: {
+            onSuccess: (response, data) => this.showBookingStatus(response.booking, data.phone),
+            onError: () => {
+              this.components.bookingStatus?.clear();
+              this.components.bookingManage?.hide();
+            }
+          },
+          reschedule: {
+            onSuccess: (response) => this.showBookingStatus(response.booking)
+          },
+          cancel: {
+            onSuccess: (response) => this.showBookingStatus(response.booking)
+          }
+        }
+      });
+      this.components.bookingForm = this.components.forms['booking-form'];
+      
+      if (bookingForm) {
+        this.components.bookingHistory = new BookingHistoryPanel(document.querySelector('.booking-history'), {
+          onRebook: (values, action) => {
+            this.components.bookingForm.setFormData(values);
+            this.trackEvent('Booking', action, 'booking-history');
+            bookingForm.elements.date?.focus();
+          }
+        });
+        
+        this.components.bookingConfirmation = new BookingConfirmation(document.querySelector('.booking-confirmation'), {
+          form: bookingForm,
+          onNewBooking: () => bookingForm.elements.pickup?.focus()
+        });
+        
+        this.applyBookingLink();
+      }
+      
       console.log('📝 Forms initialized');
     } catch (error) {
       console.error('Error initializing forms:', error);
@@ -170,6 +313,9 @@ class TaxiWebsiteApp {
       // Handle phone number clicks
       this.setupPhoneLinks();
       
+      // Handle WhatsApp link clicks
+      this.setupWhatsAppLinks();
+      
       // Handle service booking buttons
       this.setupServiceButtons();
       
@@ -207,6 +353,15 @@ class TaxiWebsiteApp {
     });
   }
 
+  setupWhatsAppLinks() {
+    const whatsAppLinks = document.querySelectorAll('a[href^="https://wa.me/"]');
+    whatsAppLinks.forEach(link => {
+      link.addEventListener('click', () => {
+        this.trackEvent('WhatsApp', 'click', 'chat-link');
+      });
+    });
+  }
+
   setupServiceButtons() {
     const serviceButtons = document.querySelectorAll('.service-btn');
     serviceButtons.forEach(button => {
@@ -226,7 +381,9 @@ class TaxiWebsiteApp {
       button.addEventListener('click', () => {
         const fleetCard = button.closest('.fleet-card');
         const vehicleName = fleetCard?.querySelector('.fleet-name')?.textContent || 'Unknown';
+        const vehicle = getVehicle(fleetCard?.dataset.vehicle) || findVehicle(vehicleName);
         
+        this.components.vehiclePicker?.selectVehicle(vehicle);
         this.scrollToBookingForm();
         this.trackEvent('Fleet', 'click', vehicleName);
       });
@@ -274,24 +431,17 @@ class TaxiWebsiteApp {
 
   setDefaultFormValues() {
     try {
-      // Set default date to today
-      const dateInputs = document.querySelectorAll('input[type="date"]');
-      dateInputs.forEach(input => {
-        if (!input.value) {
-          input.value = getCurrentDate();
-        }
-      });
-      
-      // Set default time to current time + 1 hour
-      const timeInputs = document.querySelectorAll('input[type="time"]');
-      timeInputs.forEach(input => {
-        if (!input.value) {
-          const now = new Date();
-          now.setHours(now.getHours() + 1);
-          const hours = String(now.getHours()).padStart(2, '0');
-          const minutes = String(now.getMinutes()).padStart(2, '0');
-          input.value = `${hours}:${minutes}`;
-        }
+      document.querySelectorAll('form').forEach(form => {
+        this.applyPickupDefaults(form);
+        
+        // form.reset() empties date/time inputs, so fill them in again
+        form.addEventListener('reset', () => setTimeout(() => this.applyPickupDefaults(form), 0));
+
+        // Trip types need different notice (outstation, airport), so move a
+        // default pickup the customer hasn't changed
+        form.addEventListener('change', (e) => {
+          if (e.target.name === 'tripType') this.applyPickupDefaults(form);
+        });
       });
       
       console.log('📅 Default form values set');
@@ -300,26 +450,110 @@ class TaxiWebsiteApp {
     }
   }
 
-  handleBookingSubmit(e) {
-    e.preventDefault();
+  applyPickupDefaults(form) {
+    // Default pickup is the earliest slot allowed for the form's trip type.
+    // Date and time come from the same Date, so a slot after midnight
+    // lands on tomorrow's date.
+    const tripType = form.elements.tripType?.value || 'oneway';
+    const pickup = getEarliestPickup(tripType);
+    
+    // `data-no-default` fields, like a darshan slot, are left for the customer
+    form.querySelectorAll('input[type="date"]').forEach(input => {
+      input.min = getCurrentDate();
+      input.max = getMaxDate();
+      this.applyPickupDefault(input, pickup.date);
+    });
+    
+    form.querySelectorAll('input[type="time"]').forEach(input => {
+      this.applyPickupDefault(input, pickup.time);
+    });
+  }
+
+  // Fill an empty input, or one still showing our last default
+  applyPickupDefault(input, value) {
+    if (input.hasAttribute('data-no-default')) return;
+
+    if (!input.value || input.value === this.pickupDefaults.get(input)) {
+      input.value = value;
+      this.pickupDefaults.set(input, value);
+    }
+  }
+
+  // Vehicle pages link here with ?vehicle=innova&date=2025-01-20
+  applyBookingLink() {
+    const params = new URL(window.location.href).searchParams;
+    const vehicle = getVehicle(params.get('vehicle'));
+    const date = params.get('date');
     
-    const formData = new FormData(e.target);
+    if (vehicle) this.components.vehiclePicker.selectVehicle(vehicle);
+    if (date) this.components.bookingForm.setFormData({ date });
+  }
+
+  showBookingStatus(booking, phone) {
+    this.components.bookingStatus?.render(booking);
+    this.components.bookingManage?.update(booking, phone);
+  }
+
+  // Point out the fleet cards that fit the group in the booking form. When
+  // every vehicle fits there is nothing to point out.
+  highlightFleet(match) {
+    const fleetTabs = this.components.fleetTabs;
+    if (!fleetTabs) return;
+
+    if (!match || match.fits.length === VEHICLES.length) {
+      fleetTabs.highlight(null);
+      return;
+    }
+
+    fleetTabs.highlight(match.fits.map(id => getVehicle(id).variantOf || id));
+  }
+
+  buildBookingData(data) {
+    const tripType = data.tripType || 'oneway';
     const bookingData = {
-      pickup: formData.get('pickup'),
-      destination: formData.get('destination'),
-      date: formData.get('date'),
-      time: formData.get('time'),
+      tripType,
+      pickup: data.pickup,
+      pickupPlaceId: data.pickupPlaceId || null,
+      destination: data.destination ?? null,
+      destinationPlaceId: data.destinationPlaceId || null,
+      date: data.date,
+      time: data.time,
+      name: data.name,
+      phone: normalizePhone(data.phone) || data.phone,
+      vehicle: data.vehicle,
+      vehicleName: getVehicle(data.vehicle)?.name ?? null,
+      vehicleClass: getVehicle(data.vehicle)?.vehicleClass ?? null,
+      passengers: data.passengers ? Number(data.passengers) : null,
+      luggage: data.luggage ? Number(data.luggage) : null,
+      isNight: isNightTime(data.time),
+      fareEstimate: this.components.fareEstimator?.estimate?.total ?? null,
       timestamp: new Date().toISOString()
     };
     
-    // Save to local storage for later use
-    storage.set('lastBooking', bookingData);
+    // Mode-specific fields (hidden fields are disabled and absent from `data`)
+    if (tripType === 'roundtrip') bookingData.returnDate = data.returnDate;
+    if (tripType === 'roundtrip' || tripType === 'outstation') bookingData.days = getTripDays(data);
+    if (tripType === 'airport') bookingData.flightNumber = data.flightNumber?.toUpperCase() || null;
+    if (tripType === 'hourly') bookingData.hoursPackage = data.hoursPackage;
+    
+    return bookingData;
+  }
+
+  handleBookingSubmit(response, bookingData) {
+    const booking = response?.booking || bookingData;
+    
+    // Save to booking history so the customer can rebook later
+    bookingHistory.add(booking);
+    this.components.bookingHistory?.render();
+    
+    // Show the reference and trip summary in place of the form
+    this.components.bookingConfirmation?.show(booking);
     
     // Track booking attempt
     this.trackEvent('Booking', 'submit', 'quick-booking');
     
     // Show success message (handled by FormHandler)
-    console.log('🚕 Booking submitted:', bookingData);
+    console.log('🚕 Booking submitted:', booking);
   }
 
   scrollToBookingForm() {
@@ -341,16 +575,7 @@ class TaxiWebsiteApp {
   }
 
   trackEvent(category, action, label) {
-    // Google Analytics tracking (if available)
-    if (typeof gtag !== 'undefined') {
-      gtag('event', action, {
-        event_category: category,
-        event_label: label
-      });
-    }
-    
-    // Console log for development
-    console.log(`📊 Event tracked: ${category} - ${action} - ${label}`);
+    trackEvent(category, action, label);
   }
 
   isLowPerformanceDevice() {
@@ -397,22 +622,7 @@ class TaxiWebsiteApp {
   }
 
   showErrorMessage(message) {
-    const toast = document.createElement('div');
-    toast.className = 'toast toast-error';
-    toast.innerHTML = `
-      <div class="toast-content">
-        <i class="fas fa-exclamation-triangle"></i>
-        <span>${message}</span>
-      </div>
-    `;
-    
-    document.body.appendChild(toast);
-    
-    setTimeout(() => toast.classList.add('show'), 100);
-    setTimeout(() => {
-      toast.classList.remove('show');
-      setTimeout(() => toast.remove(), 300);
-    }, 5000);
+    showToast(message, 'error', 5000);
   }
 }
 
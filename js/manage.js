@@ -0,0 +1,166 @@
+/**
+ * Manage Booking
+ * Customer cancellation and rescheduling, with the cancellation policy
+ */
+
+import { formatCurrency } from './utils.js';
+
+// Free cancellation until `freeHours` before pickup, then a flat fee per
+// vehicle class. Keep in sync with server/server.js.
+export const CANCELLATION_POLICY = {
+  freeHours: 12,
+  fees: {
+    sedans: 200,
+    suvs: 300,
+    vans: 500
+  }
+};
+
+const CLOSED_STATUSES = {
+  completed: 'This trip is already completed.',
+  cancelled: 'This booking is already cancelled.'
+};
+
+const PICKUP_PASSED = 'The pickup time has passed. Please call us to make changes.';
+
+export function getPickupDate(booking) {
+  return new Date(`${booking.date}T${booking.time || '00:00'}`);
+}
+
+export function getCancellationFee(vehicleClass) {
+  return CANCELLATION_POLICY.fees[vehicleClass] ?? CANCELLATION_POLICY.fees.sedans;
+}
+
+// What cancelling would cost right now:
+// { allowed, fee, freeUntil } or { allowed: false, reason }
+export function getCancellationTerms(booking, now = new Date()) {
+  if (CLOSED_STATUSES[booking.status]) {
+    return { allowed: false, reason: CLOSED_STATUSES[booking.status] };
+  }
+
+  const pickup = getPickupDate(booking);
+  if (pickup <= now) {
+    return { allowed: false, reason: PICKUP_PASSED };
+  }
+
+  const freeUntil = new Date(pickup.getTime() - CANCELLATION_POLICY.freeHours * 3600000);
+  return {
+    allowed: true,
+    fee: now < freeUntil ? 0 : getCancellationFee(booking.vehicleClass),
+    freeUntil
+  };
+}
+
+// Rescheduling is free while the pickup is still ahead; the new time is
+// checked with the booking form's schedule rules
+export function getRescheduleTerms(booking, now = new Date()) {
+  if (CLOSED_STATUSES[booking.status]) {
+    return { allowed: false, reason: CLOSED_STATUSES[booking.status] };
+  }
+
+  if (getPickupDate(booking) <= now) {
+    return { allowed: false, reason: PICKUP_PASSED };
+  }
+
+  return { allowed: true };
+}
+
+function formatDeadline(date) {
+  return date.toLocaleString('en-IN', {
+    weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+  });
+}
+
+export function describeCancellationTerms(terms) {
+  if (!terms.allowed) return terms.reason;
+
+  return terms.fee === 0
+    ? `Free cancellation until ${formatDeadline(terms.freeUntil)}. After that a fee applies.`
+    : `Cancelling now costs ${formatCurrency(terms.fee)}, as pickup is less than ${CANCELLATION_POLICY.freeHours} hours away.`;
+}
+
+// Manage Booking Panel Component
+// Shows the cancel/reschedule options for a looked-up booking and fills the
+// reference and phone into the `reschedule` and `cancel` forms it contains.
+export class BookingManagePanel {
+  constructor(container) {
+    this.container = container;
+    this.booking = null;
+    this.phone = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.container) return;
+
+    this.terms = this.container.querySelector('.manage-terms');
+    this.forms = {
+      reschedule: this.container.querySelector('form[data-form="reschedule"]'),
+      cancel: this.container.querySelector('form[data-form="cancel"]')
+    };
+
+    this.container.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-manage-action]');
+      if (button) this.open(button.dataset.manageAction);
+    });
+  }
+
+  update(booking, phone = this.phone) {
+    if (!this.container) return;
+
+    this.booking = booking;
+    this.phone = phone;
+
+    const cancellation = getCancellationTerms(booking);
+    const reschedule = getRescheduleTerms(booking);
+
+    this.container.hidden = false;
+    this.terms.textContent = describeCancellationTerms(cancellation);
+    this.toggleAction('cancel', cancellation.allowed);
+    this.toggleAction('reschedule', reschedule.allowed);
+
+    Object.values(this.forms).forEach(form => {
+      if (!form) return;
+      form.hidden = true;
+      form.elements.reference.value = booking.reference;
+      form.elements.phone.value = phone || '';
+    });
+
+    const fee = this.container.querySelector('.cancel-fee');
+    if (fee && cancellation.allowed) {
+      fee.textContent = cancellation.fee
+        ? `A cancellation fee of ${formatCurrency(cancellation.fee)} applies.`
+        : 'No cancellation fee applies.';
+    }
+  }
+
+  toggleAction(action, allowed) {
+    const button = this.container.querySelector(`[data-manage-action="${action}"]`);
+    if (button) button.hidden = !allowed;
+  }
+
+  open(action) {
+    const form = this.forms[action];
+    if (!form || !this.booking) return;
+
+    Object.entries(this.forms).forEach(([name, other]) => {
+      if (other) other.hidden = name !== action;
+    });
+
+    if (action === 'reschedule') {
+      form.elements.tripType.value = this.booking.tripType || 'oneway';
+      form.elements.date.value = this.booking.date;
+      form.elements.time.value = this.booking.time;
+    }
+
+    form.querySelector('input:not([type="hidden"]), select')?.focus();
+  }
+
+  hide() {
+    if (!this.container) return;
+
+    this.booking = null;
+    this.container.hidden = true;
+  }
+}
@@ -0,0 +1,258 @@
+/**
+ * Package Pricing
+ * Quoted price ranges for the tour packages, by group size, vehicle and hotel
+ */
+
+import { escapeHtml, formatCurrency } from './utils.js';
+import { getPlace } from './places.js';
+import { getVehicle } from './fleet.js';
+import { TARIFFS } from './fare.js';
+import { MAX_OUTSTATION_DAYS } from './trips.js';
+import { fetchTour, getTourDistance } from './tours.js';
+import { getPricingRules, getRuleLabel, getRuleAmount } from './pricing.js';
+
+// Hotel rates per room and night as [low, high]. Rooms sleep two.
+export const HOTEL_TIERS = {
+  none: { name: 'No hotel', label: 'No hotel, I will arrange my own', rate: null },
+  budget: { name: 'Budget', label: 'Budget (lodges, 2-star)', rate: [1200, 2000] },
+  standard: { name: 'Standard', label: 'Standard (3-star)', rate: [2500, 4000] },
+  premium: { name: 'Premium', label: 'Premium (resorts, 4-star)', rate: [5000, 9000] }
+};
+
+export const GUESTS_PER_ROOM = 2;
+
+// Quick picks for the two packages the tour pages sell
+export const PACKAGE_PRESETS = {
+  family: { label: 'Family', groupSize: 4, hotelTier: 'standard' },
+  group: { label: 'Group', groupSize: 12, hotelTier: 'budget' }
+};
+
+export const MAX_GROUP_SIZE = 60;
+
+// Local sightseeing routes vary, so the top of the range allows this much
+// extra driving on top of the package route
+export const SIGHTSEEING_ALLOWANCE = 0.15;
+
+// Every place the tour visits
+export function getTourPlaceIds(tour) {
+  return [tour.destination, ...tour.days.flatMap(day => day.stops.map(stop => stop.placeId))].filter(Boolean);
+}
+
+// Toll allowance for one way of the trip: the dearest place the tour visits
+export function getTourToll(tour) {
+  return Math.max(0, ...getTourPlaceIds(tour).map(id => getPlace(id)?.toll || 0));
+}
+
+// Price range for a tour package. Amounts are whole rupees; every line and
+// the total have a `low` and `high`. Groups bigger than the vehicle get
+// more than one. The start `date` picks the seasonal and holiday rules,
+// returned as `pricing`.
+export function quotePackage({ tour, days, vehicle, groupSize = 1, hotelTier = 'none', date = '' }) {
+  const distanceKm = getTourDistance(tour);
+  const tariff = TARIFFS[vehicle.vehicleClass];
+  const vehicles = Math.max(1, Math.ceil(groupSize / vehicle.seats));
+  const nights = Math.max(0, days - 1);
+  const lines = [];
+
+  const addLine = (label, low, high = low, extra = {}) => {
+    if (high > 0) lines.push({ label, low: Math.round(low), high: Math.round(high), ...extra });
+  };
+
+  // Tours are billed for a minimum distance per day, like outstation trips
+  const minimumKm = tariff.minKmPerDay * days;
+  const lowKm = Math.max(distanceKm, minimumKm);
+  const highKm = Math.max(Math.round(distanceKm * (1 + SIGHTSEEING_ALLOWANCE)), minimumKm);
+  const count = vehicles > 1 ? `${vehicles} × ` : '';
+
+  const driving = [lowKm * tariff.perKm * vehicles, highKm * tariff.perKm * vehicles];
+  addLine(
+    `${count}${vehicle.name}: ${lowKm === highKm ? lowKm : `${lowKm}–${highKm}`} km × ${formatCurrency(tariff.perKm)}/km`,
+    ...driving
+  );
+
+  const { vehicleClass } = vehicle;
+  const pricing = getPricingRules({ date, placeIds: getTourPlaceIds(tour), vehicleClass });
+  pricing.forEach(rule => {
+    // Surcharges are per vehicle; multipliers already scale with the driving
+    const [low, high] = driving.map(base => getRuleAmount(rule, { base, vehicleClass }) * (rule.multiplier ? 1 : vehicles));
+    addLine(getRuleLabel(rule), low, high, { rule: rule.id });
+  });
+  addLine(`Driver bata (${days} day${days > 1 ? 's' : ''})`, tariff.driverBata * days * vehicles);
+  addLine('Toll allowance', getTourToll(tour) * 2 * tariff.tollMultiplier * vehicles);
+
+  (tour.permits || []).forEach(permit => {
+    addLine(permit.label, (permit.amounts[vehicle.vehicleClass] || 0) * vehicles);
+  });
+
+  const hotel = HOTEL_TIERS[hotelTier];
+  if (hotel?.rate && nights > 0) {
+    const rooms = Math.ceil(groupSize / GUESTS_PER_ROOM);
+    addLine(
+      `${hotel.name} hotel: ${rooms} room${rooms > 1 ? 's' : ''} × ${nights} night${nights > 1 ? 's' : ''}`,
+      hotel.rate[0] * rooms * nights,
+      hotel.rate[1] * rooms * nights
+    );
+  }
+
+  const low = lines.reduce((sum, line) => sum + line.low, 0);
+  const high = lines.reduce((sum, line) => sum + line.high, 0);
+
+  return {
+    vehicles,
+    nights,
+    pricing,
+    lines,
+    low,
+    high,
+    perPerson: { low: Math.round(low / groupSize), high: Math.round(high / groupSize) }
+  };
+}
+
+// "₹12,000" or "₹12,000 – ₹14,500"
+export function formatRange(low, high) {
+  return low === high ? formatCurrency(low) : `${formatCurrency(low)} – ${formatCurrency(high)}`;
+}
+
+// Package Calculator Component
+// Quotes the tour in the form's `data-tour` as the customer changes the
+// group, vehicle, days and hotel. Hides itself (or the `section` around it)
+// when the tour can't be loaded.
+export class PackageCalculator {
+  constructor(form, options = {}) {
+    this.form = typeof form === 'string' ? document.getElementById(form) : form;
+    this.options = {
+      tourId: this.form?.dataset.tour,
+      section: null,
+      ...options
+    };
+
+    this.tour = null;
+    this.quote = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.form) return;
+
+    this.section = this.options.section || this.form;
+    this.output = this.form.querySelector('.package-quote');
+    this.renderHotelTiers();
+
+    this.bindEvents();
+    this.load();
+  }
+
+  bindEvents() {
+    this.form.addEventListener('input', () => this.update());
+    this.form.addEventListener('change', () => this.update());
+    // Nothing to send: the quote is worked out as the customer types
+    this.form.addEventListener('submit', (e) => e.preventDefault());
+
+    this.form.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-package-preset]');
+      if (button) this.applyPreset(button.dataset.packagePreset);
+    });
+  }
+
+  async load() {
+    try {
+      this.tour = await fetchTour(this.options.tourId);
+      this.section.hidden = !this.tour;
+      if (!this.tour) return;
+
+      const days = this.form.elements.days;
+      days.min = this.tour.days.length;
+      days.max = MAX_OUTSTATION_DAYS;
+      days.value = this.tour.days.length;
+
+      this.update();
+    } catch (error) {
+      console.error('Error loading tour package:', error);
+      this.section.hidden = true;
+    }
+  }
+
+  // Group size and hotel for the preset, in the smallest recommended vehicle
+  // that seats everyone
+  applyPreset(id) {
+    const preset = PACKAGE_PRESETS[id];
+    if (!preset || !this.tour) return;
+
+    const vehicle = (this.tour.recommendedVehicles || [])
+      .map(getVehicle)
+      .filter(candidate => candidate && candidate.seats >= preset.groupSize)
+      .sort((a, b) => a.seats - b.seats)[0];
+
+    this.form.elements.groupSize.value = preset.groupSize;
+    this.form.elements.hotelTier.value = preset.hotelTier;
+    if (vehicle) {
+      this.form.elements.vehicle.value = vehicle.id;
+      this.form.elements.vehicle.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+    this.update();
+  }
+
+  getCount(name, fallback, min, max) {
+    const value = parseInt(this.form.elements[name]?.value, 10);
+    return Math.min(max, Math.max(min, Number.isNaN(value) ? fallback : value));
+  }
+
+  update() {
+    if (!this.tour) return;
+
+    const vehicle = getVehicle(this.form.elements.vehicle?.value);
+    if (!vehicle) {
+      this.quote = null;
+      this.render();
+      return;
+    }
+
+    const minDays = this.tour.days.length;
+    this.quote = quotePackage({
+      tour: this.tour,
+      days: this.getCount('days', minDays, minDays, MAX_OUTSTATION_DAYS),
+      vehicle,
+      groupSize: this.getCount('groupSize', 1, 1, MAX_GROUP_SIZE),
+      hotelTier: this.form.elements.hotelTier?.value || 'none',
+      date: this.form.elements.date?.value || ''
+    });
+
+    this.render();
+  }
+
+  // ===== Rendering =====
+
+  renderHotelTiers() {
+    const select = this.form.elements.hotelTier;
+    if (!select) return;
+
+    select.innerHTML = Object.entries(HOTEL_TIERS).map(([id, tier]) => `
+      <option value="${id}">${escapeHtml(tier.label)}</option>
+    `).join('');
+  }
+
+  render() {
+    const quote = this.quote;
+    if (!quote) {
+      this.output.innerHTML = '';
+      return;
+    }
+
+    this.output.innerHTML = `
+      <h4 class="fare-title">Package Price</h4>
+      <ul class="fare-lines">
+        ${quote.lines.map(line => `
+          <li${line.rule ? ' class="fare-line-rule"' : ''}><span>${escapeHtml(line.label)}</span><span>${formatRange(line.low, line.high)}</span></li>
+        `).join('')}
+      </ul>
+      <div class="fare-total"><span>Total</span><span>${formatRange(quote.low, quote.high)}</span></div>
+      <p class="package-per-person">
+        About ${formatRange(quote.perPerson.low, quote.perPerson.high)} per person
+      </p>
+      <p class="fare-note">
+        ${quote.pricing.length ? 'Peak-date pricing applies on your start date. ' : ''}Meals, entry tickets and activities are extra. We confirm the final price when we call.
+      </p>
+    `;
+  }
+}
@@ -0,0 +1,390 @@
+/**
+ * Pilgrimage Mode
+ * Season calendar, darshan-slot pickup times and van sizing for temple tours
+ */
+
+import { escapeHtml, formatDateInput, formatTimeInput } from './utils.js';
+import { getPlace, getDistance } from './places.js';
+import { getVehicle, PILGRIM_VANS, MAX_PILGRIM_VANS } from './fleet.js';
+import { getEarliestPickup } from './schedule.js';
+import { fetchTour, isInSeason } from './tours.js';
+import { AVERAGE_SPEED_KMPH, formatDriveTime } from './itinerary.js';
+
+// A tea or meal break for every few hours on the road
+const BREAK_MINUTES = 30;
+const DRIVE_MINUTES_PER_BREAK = 4 * 60;
+
+// Pickup suggestions are rounded down to this
+const SLOT_MINUTES = 15;
+
+const MONTHS_SHOWN = 12;
+
+// ===== Seasons =====
+
+// The next time a season runs (or the current run), as YYYY-MM-DD dates
+export function getNextSeason(season, today = formatDateInput(new Date())) {
+  const year = Number(today.slice(0, 4));
+  const wraps = season.from > season.to;
+
+  for (let start = year - 1; start <= year + 1; start++) {
+    const from = `${start}-${season.from}`;
+    const to = `${wraps ? start + 1 : start}-${season.to}`;
+    if (to >= today) return { ...season, start: from, end: to };
+  }
+  return null;
+}
+
+// Seasons and festival days coming up, soonest first
+export function getPilgrimCalendar(tour, today = formatDateInput(new Date())) {
+  const seasons = (tour.seasons || []).map(season => getNextSeason(season, today));
+  const keyDates = (tour.pilgrimage?.keyDates || []).map(keyDate =>
+    getNextSeason({ kind: 'festival', label: keyDate.label, from: keyDate.date, to: keyDate.date }, today)
+  );
+
+  return [...seasons, ...keyDates].sort((a, b) => a.start.localeCompare(b.start));
+}
+
+// Temples that only open in season (Sabarimala) are closed on other dates
+export function isTempleOpen(tour, date) {
+  if (!tour.pilgrimage?.seasonalOnly) return true;
+  return (tour.seasons || []).some(season => isInSeason(season, date));
+}
+
+// ===== Pickup Time =====
+
+// When to leave `startId` to make a darshan slot: the drive with breaks,
+// then the steps from the car park to the queue. Returns
+// { date, time, steps: [{ label, minutes }] }.
+export function suggestPickup(tour, { startId = 'salem', slotDate, slotTime }) {
+  const route = getDistance(startId, tour.destination);
+  if (!route || !slotDate || !slotTime) return null;
+
+  const driveMinutes = Math.round((route.km / AVERAGE_SPEED_KMPH) * 60);
+  const breaks = Math.floor(driveMinutes / DRIVE_MINUTES_PER_BREAK);
+  const steps = [
+    { label: `Drive ${route.km} km from ${getPlace(startId).name}`, minutes: driveMinutes },
+    ...(breaks ? [{ label: `${breaks} tea and meal break${breaks > 1 ? 's' : ''}`, minutes: breaks * BREAK_MINUTES }] : []),
+    ...(tour.pilgrimage?.arrival || [])
+  ];
+
+  const pickup = new Date(`${slotDate}T${slotTime}`);
+  pickup.setMinutes(pickup.getMinutes() - steps.reduce((total, step) => total + step.minutes, 0));
+  pickup.setMinutes(pickup.getMinutes() - (pickup.getMinutes() % SLOT_MINUTES), 0, 0);
+
+  return { date: formatDateInput(pickup), time: formatTimeInput(pickup), steps };
+}
+
+// ===== Van Sizing =====
+
+// Vans for a group: fewest vans first, then fewest empty seats. Returns
+// vehicle ids, biggest first, or null when the group needs more than
+// MAX_PILGRIM_VANS.
+export function planVans(groupSize) {
+  const vans = PILGRIM_VANS.map(getVehicle).filter(Boolean);
+  let best = null;
+
+  const search = (index, chosen, seats) => {
+    if (seats >= groupSize) {
+      const empty = seats - groupSize;
+      if (!best || chosen.length < best.vans.length ||
+          (chosen.length === best.vans.length && empty < best.empty)) {
+        best = { vans: chosen, empty };
+      }
+      return;
+    }
+    if (chosen.length === MAX_PILGRIM_VANS || index === vans.length) return;
+
+    // Take another of this van, or move on to the next size
+    search(index, [...chosen, vans[index]], seats + vans[index].seats);
+    search(index + 1, chosen, seats);
+  };
+  search(0, [], 0);
+
+  return best && best.vans.sort((a, b) => b.seats - a.seats).map(van => van.id);
+}
+
+// "Tourister (18 seats) + Tempo Traveller (12 seats)"
+export function describeVans(vanIds) {
+  return vanIds.map(getVehicle).filter(Boolean)
+    .map(van => `${van.name} (${van.seats} seats)`)
+    .join(' + ');
+}
+
+// Field validators for FormHandler
+export const pilgrimageValidators = {
+  darshanDate(value, form) {
+    const pickupDate = form.elements.date?.value;
+    if (value && pickupDate && value < pickupDate) {
+      return 'Your darshan slot is before the pickup date';
+    }
+    return '';
+  },
+
+  devotees(value) {
+    const devotees = Number(value);
+    if (!Number.isInteger(devotees) || devotees < 1) return 'Please enter at least 1 devotee';
+    if (!planVans(devotees)) return 'Please call us to plan vans for a group this big';
+    return '';
+  }
+};
+
+// Darshan slot and vans for the booking request, when the mode is on
+export function buildPilgrimageDetails(data, form) {
+  if (!data.darshanDate) return {};
+
+  const devotees = Number(data.devotees);
+  return {
+    pilgrimage: {
+      tour: form.querySelector('[data-pilgrimage]')?.dataset.pilgrimage || null,
+      darshanDate: data.darshanDate,
+      darshanTime: data.darshanTime,
+      devotees,
+      vans: planVans(devotees) || []
+    }
+  };
+}
+
+// Pilgrimage Mode Component
+// Extra fields in a tour's booking form for temple tours: a season calendar,
+// the darshan slot with a suggested pickup time, and the vans the group
+// needs. The fields sit in `[data-pilgrimage]` and are disabled while the
+// mode is switched off, so they are skipped by validation and FormData.
+export class PilgrimageMode {
+  constructor(form, options = {}) {
+    this.form = typeof form === 'string' ? document.getElementById(form) : form;
+    this.fieldset = this.form?.querySelector('[data-pilgrimage]');
+    this.options = {
+      tourId: this.fieldset?.dataset.pilgrimage,
+      ...options
+    };
+
+    this.tour = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.fieldset) return;
+
+    this.toggle = this.form.querySelector('input[data-pilgrimage-toggle]');
+    this.calendar = this.fieldset.querySelector('.pilgrimage-calendar');
+    this.pickup = this.fieldset.querySelector('.pilgrimage-pickup');
+    this.vans = this.fieldset.querySelector('.pilgrimage-vans');
+
+    this.bindEvents();
+    this.load();
+  }
+
+  bindEvents() {
+    this.toggle?.addEventListener('change', () => this.update());
+
+    this.fieldset.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-pilgrimage-action]');
+      if (!button) return;
+
+      const action = button.dataset.pilgrimageAction;
+      if (action === 'plan') this.planFor(button.dataset.date);
+      if (action === 'use-pickup') this.usePickup();
+      if (action === 'use-vans') this.useVans();
+    });
+
+    this.form.addEventListener('input', (e) => this.handleChange(e));
+    this.form.addEventListener('change', (e) => this.handleChange(e));
+    this.form.addEventListener('reset', () => setTimeout(() => this.update(), 0));
+  }
+
+  handleChange(e) {
+    if (!this.tour) return;
+    if (['darshanDate', 'darshanTime', 'pickupPlaceId'].includes(e.target.name)) this.renderPickup();
+    if (e.target.name === 'devotees') this.renderVans();
+  }
+
+  async load() {
+    try {
+      this.tour = await fetchTour(this.options.tourId);
+    } catch (error) {
+      console.error('Error loading tour package:', error);
+    }
+
+    // Without the temple details there is nothing to plan with
+    if (!this.tour?.pilgrimage) {
+      this.tour = null;
+      if (this.toggle) this.toggle.closest('label').hidden = true;
+    }
+    this.update();
+  }
+
+  get isOn() {
+    return Boolean(this.tour) && (this.toggle ? this.toggle.checked : true);
+  }
+
+  get startId() {
+    return getPlace(this.form.elements.pickupPlaceId?.value)?.id || 'salem';
+  }
+
+  update() {
+    const on = this.isOn;
+
+    this.fieldset.hidden = !on;
+    this.fieldset.querySelectorAll('input, select, textarea').forEach(field => {
+      field.disabled = !on;
+      if (!on) field.classList.remove('error');
+    });
+    if (!on) {
+      this.fieldset.querySelectorAll('.field-error').forEach(error => error.remove());
+      return;
+    }
+
+    this.render();
+  }
+
+  setField(name, value) {
+    const field = this.form.elements[name];
+    if (!field || value === undefined || value === null) return;
+
+    field.value = value;
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  // Darshan on the first day of a season that is still ahead
+  planFor(date) {
+    const earliest = getEarliestPickup('outstation').date;
+    this.setField('darshanDate', date > earliest ? date : earliest);
+    this.form.elements.darshanTime?.focus();
+  }
+
+  usePickup() {
+    const suggestion = this.suggestion;
+    if (!suggestion) return;
+
+    this.setField('date', suggestion.date);
+    this.setField('time', suggestion.time);
+  }
+
+  // The biggest van goes in the booking; the rest are noted with it
+  useVans() {
+    const plan = planVans(Number(this.form.elements.devotees?.value));
+    if (!plan) return;
+
+    const van = getVehicle(plan[0]);
+    this.setField('vehicle', van.id);
+    this.setField('passengers', Math.min(van.seats, Number(this.form.elements.devotees.value)));
+  }
+
+  // ===== Rendering =====
+
+  render() {
+    this.renderCalendar();
+    this.renderPickup();
+    this.renderVans();
+  }
+
+  renderCalendar() {
+    const today = formatDateInput(new Date());
+    const calendar = getPilgrimCalendar(this.tour, today);
+    const now = new Date();
+
+    const months = Array.from({ length: MONTHS_SHOWN }, (_, i) => {
+      const first = new Date(now.getFullYear(), now.getMonth() + i, 1);
+      const last = new Date(first.getFullYear(), first.getMonth() + 1, 0);
+      const from = formatDateInput(first);
+      const to = formatDateInput(last);
+      const seasons = calendar.filter(entry => entry.kind !== 'festival' && entry.start <= to && entry.end >= from);
+
+      return `
+        <li class="pilgrimage-month${seasons.length ? ' is-season' : ''}"
+            title="${escapeHtml(seasons.map(season => season.label).join(', '))}">
+          <strong>${first.toLocaleDateString('en-IN', { month: 'short' })}</strong>
+          <small>${seasons.length ? escapeHtml(seasons[0].label) : ''}</small>
+        </li>
+      `;
+    }).join('');
+
+    this.calendar.innerHTML = `
+      <ol class="pilgrimage-months" aria-label="Seasons over the next ${MONTHS_SHOWN} months">${months}</ol>
+      <ul class="pilgrimage-dates">
+        ${calendar.map(entry => `
+          <li class="is-${entry.kind}">
+            <span>
+              <strong>${escapeHtml(entry.label)}</strong>
+              ${entry.start === entry.end ? formatDay(entry.start) : `${formatDay(entry.start)} – ${formatDay(entry.end)}`}
+            </span>
+            <button type="button" class="link-btn" data-pilgrimage-action="plan" data-date="${entry.start}">
+              Plan for this
+            </button>
+          </li>
+        `).join('')}
+      </ul>
+      ${this.tour.pilgrimage.closedNote ? `<p class="fare-note">${escapeHtml(this.tour.pilgrimage.closedNote)}</p>` : ''}
+    `;
+  }
+
+  get suggestion() {
+    return suggestPickup(this.tour, {
+      startId: this.startId,
+      slotDate: this.form.elements.darshanDate?.value,
+      slotTime: this.form.elements.darshanTime?.value
+    });
+  }
+
+  renderPickup() {
+    const slotDate = this.form.elements.darshanDate?.value;
+    const suggestion = this.suggestion;
+
+    if (!suggestion) {
+      this.pickup.innerHTML = `<p class="fare-note">${escapeHtml(this.tour.pilgrimage.slotNote)}</p>`;
+      return;
+    }
+
+    const earliest = getEarliestPickup('outstation');
+    const tooSoon = `${suggestion.date}T${suggestion.time}` < `${earliest.date}T${earliest.time}`;
+    const closed = !isTempleOpen(this.tour, slotDate);
+
+    this.pickup.innerHTML = `
+      <p>
+        Leave by <strong>${formatDay(suggestion.date)}, ${suggestion.time}</strong>
+        to reach the queue in time for your slot.
+      </p>
+      <ul class="pilgrimage-steps">
+        ${suggestion.steps.map(step => `
+          <li><span>${escapeHtml(step.label)}</span><span>${formatDriveTime(step.minutes / 60)}</span></li>
+        `).join('')}
+      </ul>
+      ${closed ? `<p class="pilgrimage-warning">${escapeHtml(this.tour.pilgrimage.closedNote)}</p>` : ''}
+      ${tooSoon
+        ? '<p class="pilgrimage-warning">That slot is too soon for us to reach in time. Please pick a later slot.</p>'
+        : `<button type="button" class="btn btn-outline btn-sm" data-pilgrimage-action="use-pickup">
+             Use this pickup time
+           </button>`}
+    `;
+  }
+
+  renderVans() {
+    const devotees = Number(this.form.elements.devotees?.value);
+    const plan = devotees > 0 ? planVans(devotees) : null;
+    const { group, groupNote } = this.tour.pilgrimage;
+
+    if (!plan) {
+      this.vans.innerHTML = devotees > 0
+        ? `<p class="pilgrimage-warning">Please call us to plan vans for ${devotees} devotees.</p>`
+        : '';
+      return;
+    }
+
+    this.vans.innerHTML = `
+      <p>
+        ${escapeHtml(group)} of ${devotees}: <strong>${escapeHtml(describeVans(plan))}</strong>
+        ${plan.length > 1 ? '<br /><small>We will confirm the other vans when we call.</small>' : ''}
+      </p>
+      ${groupNote ? `<p class="fare-note">${escapeHtml(groupNote)}</p>` : ''}
+      <button type="button" class="btn btn-outline btn-sm" data-pilgrimage-action="use-vans">
+        Book ${plan.length > 1 ? 'these vans' : 'this van'}
+      </button>
+    `;
+  }
+}
+
+function formatDay(date) {
+  return new Date(`${date}T00:00:00`).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+}
@@ -0,0 +1,206 @@
+/**
+ * Places & Routes
+ * Gazetteer of Salem localities, towns, stations, airports and tour
+ * destinations, with the local route table used for fare estimates
+ */
+
+// Place types, used for grouping and labels in the autocomplete
+export const PLACE_TYPES = {
+  locality: 'Salem locality',
+  town: 'Town',
+  station: 'Railway station',
+  airport: 'Airport',
+  destination: 'Tour destination'
+};
+
+// Every trip starts or ends at our Salem base, so distances are kept as road
+// kilometres from Salem. `toll` is the one-way car toll/entry allowance.
+// Places in the city itself have `area: 'salem'`.
+export const PLACES = [
+  // Salem city & localities
+  { id: 'salem', type: 'town', name: 'Salem', region: 'Tamil Nadu', aliases: ['slm', 'salem city'], area: 'salem', km: 0, toll: 0 },
+  { id: 'salem-new-bus-stand', type: 'locality', name: 'New Bus Stand', region: 'Salem', aliases: ['salem bus stand', 'central bus stand', 'new bus stand salem'], area: 'salem', km: 3, toll: 0 },
+  { id: 'salem-old-bus-stand', type: 'locality', name: 'Old Bus Stand', region: 'Salem', aliases: ['town bus stand'], area: 'salem', km: 2, toll: 0 },
+  { id: 'salem-five-roads', type: 'locality', name: 'Five Roads', region: 'Salem', aliases: ['5 roads', 'anju roadu'], area: 'salem', km: 3, toll: 0 },
+  { id: 'salem-hasthampatti', type: 'locality', name: 'Hasthampatti', region: 'Salem', aliases: [], area: 'salem', km: 4, toll: 0 },
+  { id: 'salem-fairlands', type: 'locality', name: 'Fairlands', region: 'Salem', aliases: [], area: 'salem', km: 4, toll: 0 },
+  { id: 'salem-suramangalam', type: 'locality', name: 'Suramangalam', region: 'Salem', aliases: ['mullai nagar'], area: 'salem', km: 5, toll: 0 },
+  { id: 'salem-ammapet', type: 'locality', name: 'Ammapet', region: 'Salem', aliases: [], area: 'salem', km: 4, toll: 0 },
+  { id: 'salem-shevapet', type: 'locality', name: 'Shevapet', region: 'Salem', aliases: [], area: 'salem', km: 2, toll: 0 },
+  { id: 'salem-kondalampatti', type: 'locality', name: 'Kondalampatti', region: 'Salem', aliases: [], area: 'salem', km: 6, toll: 0 },
+  { id: 'salem-steel-plant', type: 'locality', name: 'Steel Plant', region: 'Salem', aliases: ['sail'], area: 'salem', km: 10, toll: 0 },
+
+  // Railway stations
+  { id: 'salem-junction', type: 'station', name: 'Salem Junction', region: 'Salem', aliases: ['salem railway station', 'salem jn'], area: 'salem', km: 5, toll: 0 },
+  { id: 'salem-town-station', type: 'station', name: 'Salem Town Station', region: 'Salem', aliases: ['svm'], area: 'salem', km: 2, toll: 0 },
+  { id: 'erode-junction', type: 'station', name: 'Erode Junction', region: 'Erode', aliases: ['erode railway station'], km: 66, toll: 65 },
+  { id: 'coimbatore-junction', type: 'station', name: 'Coimbatore Junction', region: 'Coimbatore', aliases: ['cbe junction'], km: 165, toll: 200 },
+  { id: 'trichy-junction', type: 'station', name: 'Tiruchirappalli Junction', region: 'Trichy', aliases: ['trichy junction', 'tpj'], km: 138, toll: 140 },
+  { id: 'bangalore-city-station', type: 'station', name: 'KSR Bengaluru City', region: 'Bangalore', aliases: ['sbc', 'bangalore city station', 'majestic'], km: 205, toll: 270 },
+  { id: 'chennai-central', type: 'station', name: 'Chennai Central', region: 'Chennai', aliases: ['mas', 'central station'], km: 340, toll: 400 },
+
+  // Airports
+  { id: 'salem-airport', type: 'airport', name: 'Salem Airport', region: 'Kamalapuram', aliases: ['sxv', 'kamalapuram airport'], km: 15, toll: 0 },
+  { id: 'coimbatore-airport', type: 'airport', name: 'Coimbatore International Airport', region: 'Coimbatore', aliases: ['cjb', 'coimbatore airport', 'kovai airport'], km: 160, toll: 200 },
+  { id: 'trichy-airport', type: 'airport', name: 'Tiruchirappalli International Airport', region: 'Trichy', aliases: ['trz', 'trichy airport'], km: 140, toll: 140 },
+  { id: 'bangalore-airport', type: 'airport', name: 'Kempegowda International Airport', region: 'Bangalore', aliases: ['blr', 'bangalore airport', 'bengaluru airport'], km: 245, toll: 330 },
+  { id: 'chennai-airport', type: 'airport', name: 'Chennai International Airport', region: 'Chennai', aliases: ['maa', 'chennai airport', 'meenambakkam'], km: 330, toll: 380 },
+
+  // Nearby towns & cities
+  { id: 'omalur', type: 'town', name: 'Omalur', region: 'Salem', aliases: [], km: 15, toll: 0 },
+  { id: 'rasipuram', type: 'town', name: 'Rasipuram', region: 'Namakkal', aliases: [], km: 30, toll: 0 },
+  { id: 'sankagiri', type: 'town', name: 'Sankagiri', region: 'Salem', aliases: ['sankari'], km: 38, toll: 65 },
+  { id: 'edappadi', type: 'town', name: 'Edappadi', region: 'Salem', aliases: [], km: 40, toll: 0 },
+  { id: 'attur', type: 'town', name: 'Attur', region: 'Salem', aliases: [], km: 52, toll: 60 },
+  { id: 'mettur', type: 'town', name: 'Mettur', region: 'Salem', aliases: ['mettur dam'], km: 52, toll: 0 },
+  { id: 'namakkal', type: 'town', name: 'Namakkal', region: 'Tamil Nadu', aliases: [], km: 53, toll: 70 },
+  { id: 'erode', type: 'town', name: 'Erode', region: 'Tamil Nadu', aliases: [], km: 66, toll: 65 },
+  { id: 'dharmapuri', type: 'town', name: 'Dharmapuri', region: 'Tamil Nadu', aliases: [], km: 67, toll: 75 },
+  { id: 'karur', type: 'town', name: 'Karur', region: 'Tamil Nadu', aliases: [], km: 100, toll: 120 },
+  { id: 'krishnagiri', type: 'town', name: 'Krishnagiri', region: 'Tamil Nadu', aliases: [], km: 112, toll: 150 },
+  { id: 'tiruppur', type: 'town', name: 'Tiruppur', region: 'Tamil Nadu', aliases: ['tirupur'], km: 120, toll: 130 },
+  { id: 'trichy', type: 'town', name: 'Tiruchirappalli', region: 'Tamil Nadu', aliases: ['trichy', 'tiruchi'], km: 138, toll: 140 },
+  { id: 'hosur', type: 'town', name: 'Hosur', region: 'Tamil Nadu', aliases: [], km: 160, toll: 220 },
+  { id: 'coimbatore', type: 'town', name: 'Coimbatore', region: 'Tamil Nadu', aliases: ['kovai', 'cbe'], km: 165, toll: 200 },
+  { id: 'bangalore', type: 'town', name: 'Bangalore', region: 'Karnataka', aliases: ['bengaluru'], km: 205, toll: 270 },
+  { id: 'madurai', type: 'town', name: 'Madurai', region: 'Tamil Nadu', aliases: [], km: 230, toll: 250 },
+  { id: 'chennai', type: 'town', name: 'Chennai', region: 'Tamil Nadu', aliases: ['madras'], km: 340, toll: 400 },
+
+  // Tour destinations (each has a tour page)
+  { id: 'yercaud', type: 'destination', name: 'Yercaud', region: 'Shevaroy Hills', aliases: [], km: 32, toll: 50 },
+  { id: 'kollimalai', type: 'destination', name: 'Kolli Hills', region: 'Namakkal', aliases: ['kollimalai', 'kolli malai'], km: 85, toll: 40 },
+  { id: 'pachamalai', type: 'destination', name: 'Pachamalai', region: 'Trichy', aliases: ['pachamalai hills'], km: 110, toll: 40 },
+  { id: 'vellimalai', type: 'destination', name: 'Vellimalai', region: 'Kallakurichi', aliases: ['kalvarayan hills'], km: 110, toll: 40 },
+  { id: 'yelagiri', type: 'destination', name: 'Yelagiri', region: 'Tirupattur', aliases: ['yelagiri hills'], km: 140, toll: 110 },
+  { id: 'jawadhu-hills', type: 'destination', name: 'Jawadhu Hills', region: 'Tiruvannamalai', aliases: ['javadhu hills', 'jamunamarathur'], km: 150, toll: 80 },
+  { id: 'ooty', type: 'destination', name: 'Ooty', region: 'Nilgiris', aliases: ['udhagamandalam', 'ootacamund'], km: 250, toll: 280 },
+  { id: 'kodaikanal', type: 'destination', name: 'Kodaikanal', region: 'Dindigul', aliases: ['kodai'], km: 250, toll: 260 },
+  { id: 'valparai', type: 'destination', name: 'Valparai', region: 'Coimbatore', aliases: [], km: 270, toll: 230 },
+  { id: 'tirupati', type: 'destination', name: 'Tirupati', region: 'Andhra Pradesh', aliases: ['tirumala'], km: 300, toll: 350 },
+  { id: 'munnar', type: 'destination', name: 'Munnar', region: 'Kerala', aliases: [], km: 330, toll: 300 },
+  { id: 'wayanad', type: 'destination', name: 'Wayanad', region: 'Kerala', aliases: ['kalpetta'], km: 330, toll: 280 },
+  { id: 'coorg', type: 'destination', name: 'Coorg', region: 'Karnataka', aliases: ['madikeri', 'kodagu'], km: 360, toll: 320 },
+  { id: 'kochi', type: 'destination', name: 'Kochi', region: 'Kerala', aliases: ['cochin', 'kerala'], km: 360, toll: 380 },
+  { id: 'sabarimala', type: 'destination', name: 'Sabarimala', region: 'Kerala', aliases: ['pamba'], km: 470, toll: 420 }
+];
+
+// Direct road distances for common pairs that don't pass through Salem
+export const ROUTES = [
+  { from: 'coimbatore', to: 'ooty', km: 86 },
+  { from: 'coimbatore-airport', to: 'ooty', km: 95 },
+  { from: 'coimbatore', to: 'valparai', km: 105 },
+  { from: 'madurai', to: 'kodaikanal', km: 115 },
+  { from: 'bangalore', to: 'coorg', km: 250 },
+  { from: 'ooty', to: 'kodaikanal', km: 250 },
+  { from: 'kochi', to: 'munnar', km: 130 },
+  { from: 'ooty', to: 'wayanad', km: 100 },
+  { from: 'ooty', to: 'coorg', km: 250 },
+  { from: 'wayanad', to: 'coorg', km: 115 },
+  { from: 'kodaikanal', to: 'munnar', km: 160 },
+  { from: 'coimbatore', to: 'munnar', km: 160 },
+  { from: 'kochi', to: 'wayanad', km: 270 },
+  { from: 'kochi', to: 'sabarimala', km: 160 },
+  { from: 'madurai', to: 'munnar', km: 150 }
+];
+
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function isSalemArea(place) {
+  return place.area === 'salem';
+}
+
+// Look up a place by id, name or alias. Free text such as
+// "New bus stand, Salem" resolves to the most specific place it mentions.
+export function findPlace(query) {
+  const text = normalize(query);
+  if (!text) return null;
+
+  const exact = PLACES.find(place =>
+    place.id === text ||
+    normalize(place.name) === text ||
+    place.aliases.includes(text)
+  );
+  if (exact) return exact;
+
+  // Prefer the longest matching name, so "salem junction" beats "salem"
+  const words = ` ${text} `;
+  let best = null;
+  let bestLength = 0;
+
+  PLACES.forEach(place => {
+    [place.name, ...place.aliases].forEach(name => {
+      const needle = normalize(name);
+      if (needle.length > bestLength && words.includes(` ${needle} `)) {
+        best = place;
+        bestLength = needle.length;
+      }
+    });
+  });
+
+  return best;
+}
+
+// Autocomplete search, best matches first
+export function searchPlaces(query, limit = 8) {
+  const text = normalize(query);
+  if (!text) return [];
+
+  const scored = [];
+  PLACES.forEach(place => {
+    const names = [place.name, ...place.aliases].map(normalize);
+    let score = 0;
+
+    names.forEach(name => {
+      if (name === text) score = Math.max(score, 4);
+      else if (name.startsWith(text)) score = Math.max(score, 3);
+      else if (name.split(' ').some(word => word.startsWith(text))) score = Math.max(score, 2);
+      else if (name.includes(text)) score = Math.max(score, 1);
+    });
+
+    if (score > 0) scored.push({ place, score });
+  });
+
+  return scored
+    .sort((a, b) => b.score - a.score || a.place.km - b.place.km)
+    .slice(0, limit)
+    .map(item => item.place);
+}
+
+export function getPlace(id) {
+  return PLACES.find(place => place.id === id) || null;
+}
+
+// Text shown in the pickup/destination inputs. Localities get the city name
+// so "Five Roads, Salem" still reads correctly to the driver.
+export function formatPlace(place) {
+  if (!place) return '';
+  return place.type === 'locality' ? `${place.name}, ${place.region}` : place.name;
+}
+
+// Road distance between two places. Pairs missing from ROUTES are routed via
+// Salem; routes that don't start or end in Salem are flagged as approximate.
+export function getDistance(fromId, toId) {
+  const from = getPlace(fromId);
+  const to = getPlace(toId);
+  if (!from || !to) return null;
+
+  if (from.id === to.id) {
+    return { km: 0, toll: 0, approximate: false };
+  }
+
+  const direct = ROUTES.find(route =>
+    (route.from === from.id && route.to === to.id) ||
+    (route.from === to.id && route.to === from.id)
+  );
+  if (direct) {
+    return { km: direct.km, toll: Math.max(from.toll, to.toll), approximate: false };
+  }
+
+  return {
+    km: from.km + to.km,
+    toll: from.toll + to.toll,
+    approximate: !isSalemArea(from) && !isSalemArea(to)
+  };
+}
@@ -0,0 +1,169 @@
+/**
+ * Pricing Rules
+ * Seasonal, weekend and holiday pricing on top of the standard tariffs
+ */
+
+import { isInSeason } from './tours.js';
+
+// Tamil Nadu public holidays, from the state government's yearly list.
+// Festivals follow the lunar calendar, so add each year's dates when the
+// list is published. `id` lets rules pick out a festival.
+export const HOLIDAYS = [
+  { date: '2026-01-01', id: 'new-year', name: 'New Year\'s Day' },
+  { date: '2026-01-15', id: 'pongal', name: 'Pongal' },
+  { date: '2026-01-16', id: 'pongal', name: 'Thiruvalluvar Day' },
+  { date: '2026-01-17', id: 'pongal', name: 'Uzhavar Thirunal' },
+  { date: '2026-01-26', id: 'republic-day', name: 'Republic Day' },
+  { date: '2026-02-01', id: 'thai-poosam', name: 'Thai Poosam' },
+  { date: '2026-03-19', id: 'ugadi', name: 'Telugu New Year' },
+  { date: '2026-03-21', id: 'ramzan', name: 'Ramzan' },
+  { date: '2026-03-31', id: 'mahavir-jayanthi', name: 'Mahavir Jayanthi' },
+  { date: '2026-04-03', id: 'good-friday', name: 'Good Friday' },
+  { date: '2026-04-14', id: 'tamil-new-year', name: 'Tamil New Year' },
+  { date: '2026-05-01', id: 'may-day', name: 'May Day' },
+  { date: '2026-05-27', id: 'bakrid', name: 'Bakrid' },
+  { date: '2026-06-26', id: 'muharram', name: 'Muharram' },
+  { date: '2026-08-15', id: 'independence-day', name: 'Independence Day' },
+  { date: '2026-08-26', id: 'milad-un-nabi', name: 'Milad-un-Nabi' },
+  { date: '2026-09-04', id: 'krishna-jayanthi', name: 'Krishna Jayanthi' },
+  { date: '2026-09-14', id: 'vinayakar-chathurthi', name: 'Vinayakar Chathurthi' },
+  { date: '2026-10-02', id: 'gandhi-jayanthi', name: 'Gandhi Jayanthi' },
+  { date: '2026-10-19', id: 'ayutha-pooja', name: 'Ayutha Pooja' },
+  { date: '2026-10-20', id: 'vijaya-dasami', name: 'Vijaya Dasami' },
+  { date: '2026-11-08', id: 'deepavali', name: 'Deepavali' },
+  { date: '2026-12-25', id: 'christmas', name: 'Christmas' },
+  { date: '2027-01-01', id: 'new-year', name: 'New Year\'s Day' },
+  { date: '2027-01-15', id: 'pongal', name: 'Pongal' },
+  { date: '2027-01-16', id: 'pongal', name: 'Thiruvalluvar Day' },
+  { date: '2027-01-17', id: 'pongal', name: 'Uzhavar Thirunal' },
+  { date: '2027-01-26', id: 'republic-day', name: 'Republic Day' },
+  { date: '2027-04-14', id: 'tamil-new-year', name: 'Tamil New Year' },
+  { date: '2027-05-01', id: 'may-day', name: 'May Day' },
+  { date: '2027-08-15', id: 'independence-day', name: 'Independence Day' },
+  { date: '2027-10-02', id: 'gandhi-jayanthi', name: 'Gandhi Jayanthi' },
+  { date: '2027-10-29', id: 'deepavali', name: 'Deepavali' },
+  { date: '2027-12-25', id: 'christmas', name: 'Christmas' }
+];
+
+const HILL_STATIONS = ['ooty', 'kodaikanal', 'yercaud'];
+
+// Rules are matched on the pickup date. A rule applies when every condition
+// it has is met:
+//   places   - any place on the trip (pickup, drop or a tour stop) is one
+//              of these place ids
+//   seasons  - MM-DD ranges, which may run over the new year
+//   weekdays - 0 (Sunday) to 6 (Saturday)
+//   holidays - festival ids from HOLIDAYS, or true for any public holiday
+//   around   - also match this many days either side of the holiday
+// A rule either multiplies the distance charge (`multiplier`) or adds a
+// flat `surcharge` per vehicle class. Only the dearest multiplier and the
+// dearest surcharge apply, so a holiday weekend isn't charged twice.
+export const PRICING_RULES = [
+  {
+    id: 'hill-summer',
+    label: 'Hill station summer season',
+    places: HILL_STATIONS,
+    seasons: [{ from: '04-01', to: '06-30' }],
+    multiplier: 1.2
+  },
+  {
+    id: 'hill-festival',
+    label: 'Festival rush',
+    places: HILL_STATIONS,
+    holidays: ['deepavali', 'pongal'],
+    around: 2,
+    multiplier: 1.3
+  },
+  {
+    id: 'sabarimala-season',
+    label: 'Sabarimala pilgrim season',
+    places: ['sabarimala'],
+    seasons: [{ from: '11-15', to: '01-20' }],
+    multiplier: 1.15
+  },
+  {
+    id: 'hill-weekend',
+    label: 'Hill station weekend',
+    places: HILL_STATIONS,
+    weekdays: [0, 6],
+    surcharge: { sedans: 300, suvs: 400, vans: 600 }
+  },
+  {
+    id: 'public-holiday',
+    label: 'Public holiday',
+    holidays: true,
+    surcharge: { sedans: 200, suvs: 300, vans: 500 }
+  }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDay(date) {
+  return Date.parse(`${date}T00:00:00Z`) / DAY_MS;
+}
+
+// The public holiday on `date` (YYYY-MM-DD), if any
+export function getHoliday(date) {
+  return HOLIDAYS.find(holiday => holiday.date === date) || null;
+}
+
+// The holiday that puts `date` inside the rule, if the rule has holidays
+function findRuleHoliday(rule, date) {
+  const day = toDay(date);
+  const around = rule.around || 0;
+
+  return HOLIDAYS.find(holiday =>
+    (rule.holidays === true || rule.holidays.includes(holiday.id)) &&
+    Math.abs(toDay(holiday.date) - day) <= around
+  ) || null;
+}
+
+function matchRule(rule, { date, placeIds }) {
+  if (rule.places && !rule.places.some(id => placeIds.includes(id))) return null;
+  if (rule.seasons && !rule.seasons.some(season => isInSeason(season, date))) return null;
+  if (rule.weekdays && !rule.weekdays.includes(new Date(`${date}T00:00:00Z`).getUTCDay())) return null;
+
+  if (rule.holidays) {
+    const holiday = findRuleHoliday(rule, date);
+    if (!holiday) return null;
+    return { ...rule, label: `${rule.label}: ${holiday.name}`, holiday };
+  }
+
+  return { ...rule };
+}
+
+// The rules that apply to a trip: at most one multiplier and one surcharge.
+// Labels name the holiday, e.g. "Public holiday: Deepavali".
+export function getPricingRules({ date, placeIds = [], vehicleClass = 'sedans' }) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return [];
+
+  const matches = PRICING_RULES.map(rule => matchRule(rule, { date, placeIds })).filter(Boolean);
+  const dearest = (rules, amount) => rules.sort((a, b) => amount(b) - amount(a))[0];
+
+  return [
+    dearest(matches.filter(rule => rule.multiplier), rule => rule.multiplier),
+    dearest(matches.filter(rule => rule.surcharge?.[vehicleClass]), rule => rule.surcharge[vehicleClass])
+  ].filter(Boolean);
+}
+
+// "Festival rush: Deepavali (+30%)"
+export function getRuleLabel(rule) {
+  return rule.multiplier ? `${rule.label} (+${Math.round((rule.multiplier - 1) * 100)}%)` : rule.label;
+}
+
+// What a rule adds to a `base` distance charge, in whole rupees
+export function getRuleAmount(rule, { base, vehicleClass }) {
+  return rule.multiplier
+    ? Math.round(base * (rule.multiplier - 1))
+    : rule.surcharge[vehicleClass];
+}
+
+// Fare lines for the rules. Each keeps the `rule` id so the breakdown can
+// show why the price went up.
+export function getPricingLines(rules, { base, vehicleClass }) {
+  return rules.map(rule => ({
+    label: getRuleLabel(rule),
+    amount: getRuleAmount(rule, { base, vehicleClass }),
+    rule: rule.id
+  }));
+}
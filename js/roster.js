@@ -0,0 +1,313 @@
+/**
+ * Roster
+ * The cars and drivers on the road, their documents and expiry warnings
+ */
+
+import { api } from './api.js';
+import { FormHandler, showToast } from './components.js';
+import { escapeHtml, formatPhoneNumber, formatDateInput } from './utils.js';
+import { VEHICLES, getVehicle } from './fleet.js';
+
+// Documents are valid up to and including their expiry date. Keep in sync
+// with server/server.js.
+export const VEHICLE_DOCUMENTS = {
+  permitExpiry: 'Permit',
+  insuranceExpiry: 'Insurance'
+};
+
+export const DRIVER_DOCUMENTS = {
+  licenceExpiry: 'Licence'
+};
+
+// Start warning this many days before a document expires
+export const EXPIRY_WARNING_DAYS = 30;
+
+const DAY_MS = 86400000;
+
+// "tn30ab1234" → "TN 30 AB 1234", or null if it isn't a registration number.
+// Keep in sync with server/server.js.
+export function formatRegistration(value) {
+  const match = String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '')
+    .match(/^([A-Z]{2})(\d{1,2})([A-Z]{0,3})(\d{1,4})$/);
+  return match ? match.slice(1).filter(Boolean).join(' ') : null;
+}
+
+// { state: 'missing' | 'expired' | 'expiring' | 'valid', days } where `days`
+// counts from `today` to the expiry date
+export function getExpiryStatus(expiry, today = formatDateInput(new Date())) {
+  if (!expiry) return { state: 'missing', days: null };
+
+  const days = Math.round((new Date(`${expiry}T00:00:00`) - new Date(`${today}T00:00:00`)) / DAY_MS);
+
+  if (days < 0) return { state: 'expired', days };
+  if (days <= EXPIRY_WARNING_DAYS) return { state: 'expiring', days };
+  return { state: 'valid', days };
+}
+
+// Documents that are missing, expired or expiring soon:
+// [{ field, label, expiry, state, days }]
+export function getDocumentAlerts(record, documents, today) {
+  return Object.entries(documents)
+    .map(([field, label]) => ({ field, label, expiry: record[field], ...getExpiryStatus(record[field], today) }))
+    .filter(alert => alert.state !== 'valid');
+}
+
+export function describeAlert(alert) {
+  if (alert.state === 'missing') return `${alert.label} date missing`;
+  if (alert.state === 'expired') return `${alert.label} expired ${formatExpiry(alert.expiry)}`;
+  if (alert.days === 0) return `${alert.label} expires today`;
+  return `${alert.label} expires in ${alert.days} day${alert.days === 1 ? '' : 's'}`;
+}
+
+// Can this vehicle or driver do a trip on `date`? Returns the reason if not.
+export function getAssignmentProblem(record, documents, date) {
+  const expired = Object.entries(documents).find(([field]) => !record[field] || record[field] < date);
+  return expired ? `${expired[1]} expires before this trip` : null;
+}
+
+function formatExpiry(value) {
+  return new Date(`${value}T00:00:00`).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+export function getVehicleModelName(vehicle) {
+  return getVehicle(vehicle.model)?.name || vehicle.model;
+}
+
+export const vehicleValidators = {
+  registration(value) {
+    return formatRegistration(value) ? '' : 'Please enter a registration number like TN 30 AB 1234';
+  }
+};
+
+export const driverValidators = {
+  licenceNumber(value) {
+    return /^[A-Z]{2}[A-Z0-9]{8,16}$/.test(value.toUpperCase().replace(/[^A-Z0-9]/g, ''))
+      ? ''
+      : 'Please enter a driving licence number like TN30 20110012345';
+  }
+};
+
+// Roster Panel Component
+// Lists vehicles and drivers with their document warnings, and adds, edits
+// and retires them. `onChange({ vehicles, drivers })` runs after every load
+// or save so the dashboard can refresh its assign form.
+export class RosterPanel {
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string' ? document.getElementById(container) : container;
+    this.options = {
+      onChange: null,
+      ...options
+    };
+
+    this.vehicles = [];
+    this.drivers = [];
+    this.forms = {};
+
+    this.init();
+  }
+
+  init() {
+    if (!this.container) return;
+
+    this.alerts = this.container.querySelector('.roster-alerts');
+    this.lists = {
+      vehicles: this.container.querySelector('[data-roster-list="vehicles"]'),
+      drivers: this.container.querySelector('[data-roster-list="drivers"]')
+    };
+
+    this.renderModelOptions();
+    this.initForms();
+    this.bindEvents();
+
+    this.load();
+  }
+
+  bindEvents() {
+    this.container.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-roster-action]');
+      if (!button) return;
+
+      const { rosterAction, collection, id } = button.dataset;
+      if (rosterAction === 'add') this.openForm(collection);
+      if (rosterAction === 'edit') this.openForm(collection, this.getRecord(collection, id));
+      if (rosterAction === 'close') this.closeForm(collection);
+      if (rosterAction === 'retire' || rosterAction === 'reinstate') {
+        this.setActive(collection, id, rosterAction === 'reinstate');
+      }
+    });
+
+    // A new car starts with the seat count of its model
+    const vehicleForm = this.forms.vehicles?.form;
+    vehicleForm?.elements.model.addEventListener('change', () => {
+      const model = getVehicle(vehicleForm.elements.model.value);
+      if (model) vehicleForm.elements.seats.value = model.seats;
+    });
+  }
+
+  renderModelOptions() {
+    const select = this.container.querySelector('form[data-roster-form="vehicles"] select[name="model"]');
+    select?.insertAdjacentHTML('beforeend',
+      VEHICLES.map(vehicle => `<option value="${vehicle.id}">${vehicle.name}</option>`).join('')
+    );
+  }
+
+  // Both forms add a record, or save the one being edited when `id` is set
+  initForms() {
+    ['vehicles', 'drivers'].forEach(collection => {
+      const form = this.container.querySelector(`form[data-roster-form="${collection}"]`);
+      if (!form) return;
+
+      this.forms[collection] = new FormHandler(form, {
+        endpoint: `operator/roster/${collection}`,
+        transport: {
+          post: (path, data) => data.id ? api.patch(`${path}/${data.id}`, data) : api.post(path, data)
+        },
+        validators: collection === 'vehicles' ? vehicleValidators : driverValidators,
+        serialize: (data) => collection === 'vehicles'
+          ? {
+            ...data,
+            registration: formatRegistration(data.registration),
+            vehicleClass: getVehicle(data.model)?.vehicleClass,
+            seats: Number(data.seats),
+            ac: form.elements.ac.checked
+          }
+          : { ...data, languages: data.languages.split(',').map(language => language.trim()).filter(Boolean) },
+        successMessage: (response, data) => data.id ? 'Saved' : 'Added to the roster',
+        onSuccess: () => {
+          this.closeForm(collection);
+          this.load();
+        }
+      });
+    });
+  }
+
+  getRecord(collection, id) {
+    return this[collection].find(record => record.id === id) || null;
+  }
+
+  openForm(collection, record = null) {
+    const handler = this.forms[collection];
+    if (!handler) return;
+
+    const form = handler.form;
+    form.reset();
+    form.elements.id.value = '';
+    form.querySelector('.roster-form-title').textContent = record
+      ? `Edit ${record.registration || record.name}`
+      : `Add ${collection === 'vehicles' ? 'a vehicle' : 'a driver'}`;
+
+    if (record) {
+      const { ac, languages, ...values } = record;
+      handler.setFormData({
+        ...values,
+        phone: record.phone ? formatPhoneNumber(record.phone) : undefined,
+        languages: languages?.join(', ')
+      });
+      if (form.elements.ac) form.elements.ac.checked = Boolean(ac);
+    }
+
+    form.hidden = false;
+    form.querySelector('input:not([type="hidden"]), select')?.focus();
+  }
+
+  closeForm(collection) {
+    const handler = this.forms[collection];
+    if (handler) handler.form.hidden = true;
+  }
+
+  async load() {
+    try {
+      const { vehicles, drivers } = await api.get('operator/roster');
+      this.vehicles = vehicles;
+      this.drivers = drivers;
+      this.render();
+
+      if (this.options.onChange) {
+        this.options.onChange({ vehicles, drivers });
+      }
+    } catch (error) {
+      console.error('Error loading roster:', error);
+    }
+  }
+
+  async setActive(collection, id, active) {
+    const record = this.getRecord(collection, id);
+    if (!record) return;
+
+    const name = record.registration || record.name;
+    if (!active && !window.confirm(`Retire ${name}? It can no longer be assigned to bookings.`)) {
+      return;
+    }
+
+    try {
+      await api.patch(`operator/roster/${collection}/${id}`, { active });
+      showToast(`${name} ${active ? 'is back on the roster' : 'retired'}`, 'success');
+      this.load();
+    } catch (error) {
+      showToast(error.message, 'error', 5000);
+    }
+  }
+
+  // ===== Rendering =====
+
+  render() {
+    this.renderAlerts();
+    this.lists.vehicles.innerHTML = this.renderList('vehicles', this.vehicles, VEHICLE_DOCUMENTS, vehicle => `
+      <strong class="vehicle-number">${escapeHtml(vehicle.registration)}</strong>
+      <span>${escapeHtml(getVehicleModelName(vehicle))} · ${vehicle.seats} seats · ${vehicle.ac ? 'AC' : 'Non-AC'}</span>
+    `);
+    this.lists.drivers.innerHTML = this.renderList('drivers', this.drivers, DRIVER_DOCUMENTS, driver => `
+      <strong>${escapeHtml(driver.name)}</strong>
+      <span>
+        <a href="tel:${escapeHtml(driver.phone)}">${escapeHtml(formatPhoneNumber(driver.phone))}</a>
+        · ${escapeHtml(driver.licenceNumber)}
+        ${driver.languages?.length ? ` · ${escapeHtml(driver.languages.join(', '))}` : ''}
+      </span>
+    `);
+  }
+
+  // Every active record with a document that needs renewing
+  renderAlerts() {
+    const alerts = [
+      ...this.vehicles.filter(vehicle => vehicle.active)
+        .flatMap(vehicle => getDocumentAlerts(vehicle, VEHICLE_DOCUMENTS).map(alert => ({ ...alert, name: vehicle.registration }))),
+      ...this.drivers.filter(driver => driver.active)
+        .flatMap(driver => getDocumentAlerts(driver, DRIVER_DOCUMENTS).map(alert => ({ ...alert, name: driver.name })))
+    ].sort((a, b) => (a.days ?? -Infinity) - (b.days ?? -Infinity));
+
+    this.alerts.hidden = alerts.length === 0;
+    this.alerts.innerHTML = alerts.map(alert => `
+      <li class="roster-alert is-${alert.state}">
+        <i class="fas fa-exclamation-triangle" aria-hidden="true"></i>
+        <strong>${escapeHtml(alert.name)}</strong>: ${escapeHtml(describeAlert(alert))}
+      </li>
+    `).join('');
+  }
+
+  renderList(collection, records, documents, renderSummary) {
+    if (records.length === 0) {
+      return '<li class="dashboard-empty">Nothing on the roster yet.</li>';
+    }
+
+    // Retired records go to the bottom
+    const sorted = [...records].sort((a, b) => Number(b.active) - Number(a.active));
+
+    return sorted.map(record => `
+      <li class="roster-item${record.active ? '' : ' is-retired'}">
+        <div class="roster-summary">${renderSummary(record)}</div>
+        <div class="roster-documents">
+          ${Object.entries(documents).map(([field, label]) => {
+            const { state } = getExpiryStatus(record[field]);
+            return `<span class="roster-document is-${state}">${label} ${record[field] ? formatExpiry(record[field]) : '—'}</span>`;
+          }).join('')}
+        </div>
+        <div class="dashboard-actions">
+          <button type="button" class="btn btn-sm btn-outline" data-roster-action="edit"
+                  data-collection="${collection}" data-id="${escapeHtml(record.id)}">Edit</button>
+          <button type="button" class="btn btn-sm btn-outline" data-roster-action="${record.active ? 'retire' : 'reinstate'}"
+                  data-collection="${collection}" data-id="${escapeHtml(record.id)}">${record.active ? 'Retire' : 'Reinstate'}</button>
+        </div>
+      </li>
+    `).join('');
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Scheduling Rules
+ * Pickup lead times, booking window, blackout dates and night hours
+ */
+
+import { formatDateInput, formatTimeInput } from './utils.js';
+
+// Minimum notice we need before a pickup, in minutes, per trip type
+export const MIN_LEAD_MINUTES = {
+  oneway: 60,
+  roundtrip: 60,
+  outstation: 120,
+  airport: 90,
+  hourly: 60
+};
+
+// How far ahead customers can book
+export const MAX_ADVANCE_DAYS = 90;
+
+// Dates we cannot take new bookings for, as { date: 'YYYY-MM-DD', reason }
+export const BLACKOUT_DATES = [];
+
+// Pickups in this window attract the night charge
+export const NIGHT_HOURS = { start: 22, end: 6 };
+
+// Default pickups are rounded up to the next quarter hour
+const SLOT_MINUTES = 15;
+
+export function isNightTime(time) {
+  if (!time) return false;
+
+  const hour = parseInt(time.split(':')[0], 10);
+  return hour >= NIGHT_HOURS.start || hour < NIGHT_HOURS.end;
+}
+
+export function getLeadMinutes(tripType) {
+  return MIN_LEAD_MINUTES[tripType] ?? MIN_LEAD_MINUTES.oneway;
+}
+
+export function getBlackout(date) {
+  return BLACKOUT_DATES.find(blackout => blackout.date === date) || null;
+}
+
+// Latest bookable date (YYYY-MM-DD)
+export function getMaxDate(now = new Date()) {
+  const max = new Date(now);
+  max.setDate(max.getDate() + MAX_ADVANCE_DAYS);
+  return formatDateInput(max);
+}
+
+// Earliest pickup for a trip type. Working on a Date object means a lead time
+// that crosses midnight also moves the date forward.
+export function getEarliestPickup(tripType, now = new Date()) {
+  const earliest = new Date(now.getTime() + getLeadMinutes(tripType) * 60000);
+  const remainder = earliest.getMinutes() % SLOT_MINUTES;
+
+  if (remainder !== 0 || earliest.getSeconds() !== 0) {
+    earliest.setMinutes(earliest.getMinutes() - remainder + SLOT_MINUTES, 0, 0);
+  }
+
+  return {
+    date: formatDateInput(earliest),
+    time: formatTimeInput(earliest)
+  };
+}
+
+// Check a pickup date/time against all rules. Returns { field, message }
+// for the first problem found, or null when the pickup is allowed.
+export function checkPickup({ date, time, tripType = 'oneway' }, now = new Date()) {
+  if (!date) return null;
+
+  const today = formatDateInput(now);
+  if (date < today) {
+    return { field: 'date', message: 'Pickup date cannot be in the past' };
+  }
+
+  if (date > getMaxDate(now)) {
+    return { field: 'date', message: `We take bookings up to ${MAX_ADVANCE_DAYS} days ahead` };
+  }
+
+  const blackout = getBlackout(date);
+  if (blackout) {
+    return { field: 'date', message: `We are not taking bookings on this date${blackout.reason ? ` (${blackout.reason})` : ''}` };
+  }
+
+  if (time) {
+    const pickup = new Date(`${date}T${time}`);
+    const minPickup = new Date(now.getTime() + getLeadMinutes(tripType) * 60000);
+
+    if (pickup < minPickup) {
+      const lead = getLeadMinutes(tripType);
+      const notice = lead % 60 === 0 ? `${lead / 60} hour${lead > 60 ? 's' : ''}` : `${lead} minutes`;
+      return { field: 'time', message: `Please book at least ${notice} before pickup` };
+    }
+  }
+
+  return null;
+}
+
+function getTripType(form) {
+  return form.elements.tripType?.value || 'oneway';
+}
+
+// Field validators for FormHandler
+export const scheduleValidators = {
+  date(value, form) {
+    const problem = checkPickup({ date: value, tripType: getTripType(form) });
+    return problem?.message || '';
+  },
+
+  time(value, form) {
+    const date = form.elements.date?.value;
+    const problem = checkPickup({ date, time: value, tripType: getTripType(form) });
+    return problem?.field === 'time' ? problem.message : '';
+  }
+};
@@ -0,0 +1,144 @@
+/**
+ * Booking Status
+ * Status lookup by booking reference and phone number
+ */
+
+import { escapeHtml, formatPhoneNumber, normalizeReference } from './utils.js';
+import { TRIP_TYPES } from './trips.js';
+
+export const BOOKING_STATUSES = {
+  received: {
+    label: 'Received',
+    icon: 'fa-inbox',
+    description: 'We have your booking and will call you shortly to confirm it.'
+  },
+  confirmed: {
+    label: 'Confirmed',
+    icon: 'fa-calendar-check',
+    description: 'Your trip is confirmed. We will assign a driver before pickup.'
+  },
+  assigned: {
+    label: 'Driver assigned',
+    icon: 'fa-user-check',
+    description: 'Your driver and cab are assigned for the pickup.'
+  },
+  completed: {
+    label: 'Completed',
+    icon: 'fa-flag-checkered',
+    description: 'Trip completed. Thank you for riding with Rainbow Call Taxi!'
+  },
+  cancelled: {
+    label: 'Cancelled',
+    icon: 'fa-ban',
+    description: 'This booking has been cancelled.'
+  }
+};
+
+// The normal order a booking moves through. Cancelled can happen at any point.
+export const STATUS_FLOW = ['received', 'confirmed', 'assigned', 'completed'];
+
+// Reference passed in the page URL, e.g. status.html?ref=RCT-7KQ4MX
+export function getReferenceFromUrl(url = window.location.href) {
+  return normalizeReference(new URL(url).searchParams.get('ref'));
+}
+
+// Field validators for FormHandler
+export const statusValidators = {
+  reference(value) {
+    return normalizeReference(value) ? '' : 'Please enter your booking reference, e.g. RCT-7KQ4MX';
+  }
+};
+
+// Booking Status View Component
+export class BookingStatusView {
+  constructor(container) {
+    this.container = container;
+    this.booking = null;
+  }
+
+  render(booking) {
+    if (!this.container) return;
+
+    this.booking = booking;
+    const status = BOOKING_STATUSES[booking.status] || BOOKING_STATUSES.received;
+    const route = booking.destination
+      ? `${escapeHtml(booking.pickup)} → ${escapeHtml(booking.destination)}`
+      : escapeHtml(booking.pickup);
+    const details = [
+      TRIP_TYPES[booking.tripType]?.label,
+      booking.vehicleName,
+      [booking.date, booking.time].filter(Boolean).join(' ')
+    ].filter(Boolean).map(escapeHtml).join(' · ');
+
+    this.container.innerHTML = `
+      <div class="booking-status-header status-${escapeHtml(booking.status)}">
+        <i class="fas ${status.icon}" aria-hidden="true"></i>
+        <div>
+          <p class="booking-status-reference">${escapeHtml(booking.reference)}</p>
+          <h3 class="booking-status-label">${status.label}</h3>
+          <p>${booking.status === 'cancelled' && booking.cancelReason ? escapeHtml(booking.cancelReason) : status.description}</p>
+        </div>
+      </div>
+
+      <div class="booking-status-trip">
+        <strong>${route}</strong>
+        <span>${details}</span>
+      </div>
+
+      ${booking.status === 'cancelled' ? '' : this.renderSteps(booking.status)}
+      ${this.renderDriver(booking)}
+    `;
+
+    this.container.hidden = false;
+  }
+
+  renderSteps(current) {
+    const currentIndex = STATUS_FLOW.indexOf(current);
+
+    return `
+      <ol class="booking-status-steps">
+        ${STATUS_FLOW.map((status, index) => `
+          <li class="${index < currentIndex ? 'is-done' : ''}${index === currentIndex ? 'is-current' : ''}"
+              ${index === currentIndex ? 'aria-current="step"' : ''}>
+            ${BOOKING_STATUSES[status].label}
+          </li>
+        `).join('')}
+      </ol>
+    `;
+  }
+
+  renderDriver(booking) {
+    if (!booking.driver?.name && !booking.vehicleNumber) return '';
+
+    return `
+      <dl class="booking-status-driver">
+        ${booking.driver?.name ? `
+          <div>
+            <dt>Driver</dt>
+            <dd>${escapeHtml(booking.driver.name)}</dd>
+          </div>
+        ` : ''}
+        ${booking.driver?.phone ? `
+          <div>
+            <dt>Driver phone</dt>
+            <dd><a href="tel:${escapeHtml(booking.driver.phone)}">${escapeHtml(formatPhoneNumber(booking.driver.phone))}</a></dd>
+          </div>
+        ` : ''}
+        ${booking.vehicleNumber ? `
+          <div>
+            <dt>Vehicle number</dt>
+            <dd class="vehicle-number">${escapeHtml(booking.vehicleNumber)}</dd>
+          </div>
+        ` : ''}
+      </dl>
+    `;
+  }
+
+  clear() {
+    if (!this.container) return;
+
+    this.booking = null;
+    this.container.hidden = true;
+    this.container.innerHTML = '';
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * Tour Packages
+ * Tour package data (days, stops, inclusions, seasons) and the itinerary timeline
+ */
+
+import { escapeHtml, formatDateInput } from './utils.js';
+import { getVehicle } from './fleet.js';
+import { getSeatsLabel } from './catalogue.js';
+
+// Packages live in data/tours.json. Each has `days` of timed `stops`, where
+// `km` is the road distance from the previous stop, `seasons` as MM-DD
+// ranges that may run over the new year, and `permits` as the state permit
+// and entry charges per vehicle class. Temple tours also have `pilgrimage`
+// details: the darshan slot, the time it takes to reach the queue from the
+// car, and key festival dates.
+const TOURS_URL = new URL('../data/tours.json', import.meta.url);
+
+const SEASON_LABELS = {
+  best: 'Best time',
+  peak: 'Peak season',
+  avoid: 'Best avoided'
+};
+
+let toursRequest = null;
+
+// Only tour pages need the packages, so they are fetched on first use
+export function loadTours() {
+  if (!toursRequest) {
+    toursRequest = fetch(TOURS_URL).then(response => {
+      if (!response.ok) {
+        throw new Error(`Could not load the tour packages (HTTP ${response.status})`);
+      }
+      return response.json();
+    }).then(data => data.tours);
+
+    // Let a later call try again
+    toursRequest.catch(() => { toursRequest = null; });
+  }
+  return toursRequest;
+}
+
+export async function fetchTour(id) {
+  const tours = await loadTours();
+  return tours.find(tour => tour.id === id) || null;
+}
+
+export function getDayDistance(day) {
+  return day.stops.reduce((total, stop) => total + stop.km, 0);
+}
+
+export function getTourDistance(tour) {
+  return tour.days.reduce((total, day) => total + getDayDistance(day), 0);
+}
+
+// "3 Days / 2 Nights", or "1 Day" for a day trip
+export function getDurationLabel(tour) {
+  const days = tour.days.length;
+  const nights = tour.days.filter(day => day.overnight).length;
+  const label = `${days} Day${days === 1 ? '' : 's'}`;
+  return nights ? `${label} / ${nights} Night${nights === 1 ? '' : 's'}` : label;
+}
+
+// Is `date` (YYYY-MM-DD) inside a season? Ranges like 12-30 → 01-20 wrap
+// round the new year.
+export function isInSeason(season, date) {
+  const day = date.slice(5);
+  return season.from <= season.to
+    ? day >= season.from && day <= season.to
+    : day >= season.from || day <= season.to;
+}
+
+export function getSeasonsOn(tour, date) {
+  return (tour.seasons || []).filter(season => isInSeason(season, date));
+}
+
+function formatMonthDay(value) {
+  return new Date(`2000-${value}T00:00:00`).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+}
+
+export function formatSeason(season) {
+  return `${formatMonthDay(season.from)} – ${formatMonthDay(season.to)}`;
+}
+
+// "05:30" → "5:30 AM"
+function formatStopTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+// Itinerary Timeline Component
+// Day-by-day timeline for the tour in the container's `data-tour`. Hides
+// itself (or the `section` around it) when the tour can't be loaded.
+export class ItineraryTimeline {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      tourId: container?.dataset.tour,
+      section: null,
+      ...options
+    };
+
+    this.tour = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.container) return;
+
+    this.section = this.options.section || this.container;
+    this.load();
+  }
+
+  async load() {
+    try {
+      this.tour = await fetchTour(this.options.tourId);
+      this.section.hidden = !this.tour;
+      if (this.tour) this.render();
+    } catch (error) {
+      console.error('Error loading tour package:', error);
+      this.section.hidden = true;
+    }
+  }
+
+  get today() {
+    return formatDateInput(new Date());
+  }
+
+  render() {
+    const tour = this.tour;
+    const now = getSeasonsOn(tour, this.today)[0];
+
+    this.container.innerHTML = `
+      <p class="itinerary-summary">${escapeHtml(tour.summary)}</p>
+      <div class="itinerary-overview">
+        <span><i class="fas fa-calendar-alt"></i> ${getDurationLabel(tour)}</span>
+        <span><i class="fas fa-road"></i> About ${getTourDistance(tour)} km from Salem and back</span>
+        ${now ? `
+          <span class="itinerary-season is-${now.kind}">
+            <i class="fas fa-sun"></i> ${SEASON_LABELS[now.kind]} now: ${escapeHtml(now.label)}
+          </span>
+        ` : ''}
+      </div>
+
+      <ol class="itinerary-days">
+        ${tour.days.map((day, i) => this.renderDay(day, i)).join('')}
+      </ol>
+
+      <div class="itinerary-details">
+        ${this.renderList('Included', 'fa-check', tour.inclusions)}
+        ${this.renderList('Not included', 'fa-times', tour.exclusions)}
+        ${this.renderVehicles()}
+        ${this.renderSeasons()}
+      </div>
+    `;
+  }
+
+  renderDay(day, index) {
+    return `
+      <li class="itinerary-day">
+        <div class="itinerary-day-header">
+          <span class="itinerary-day-number">Day ${index + 1}</span>
+          <h3>${escapeHtml(day.title)}</h3>
+          <span class="itinerary-day-distance">${getDayDistance(day)} km</span>
+        </div>
+        <ol class="itinerary-stops">
+          ${day.stops.map(stop => `
+            <li class="itinerary-stop">
+              <time>${formatStopTime(stop.time)}</time>
+              <div>
+                <strong>${escapeHtml(stop.name)}</strong>
+                ${stop.km ? `<span class="itinerary-leg">${stop.km} km drive</span>` : ''}
+                ${stop.note ? `<p>${escapeHtml(stop.note)}</p>` : ''}
+              </div>
+            </li>
+          `).join('')}
+        </ol>
+        ${day.overnight ? `
+          <p class="itinerary-overnight"><i class="fas fa-bed"></i> Overnight in ${escapeHtml(day.overnight)}</p>
+        ` : ''}
+      </li>
+    `;
+  }
+
+  renderList(title, icon, items = []) {
+    if (!items.length) return '';
+
+    return `
+      <div>
+        <h4>${title}</h4>
+        <ul>
+          ${items.map(item => `<li><i class="fas ${icon}"></i> ${escapeHtml(item)}</li>`).join('')}
+        </ul>
+      </div>
+    `;
+  }
+
+  renderVehicles() {
+    const vehicles = (this.tour.recommendedVehicles || []).map(getVehicle).filter(Boolean);
+    if (!vehicles.length) return '';
+
+    return `
+      <div>
+        <h4>Recommended vehicles</h4>
+        <ul>
+          ${vehicles.map(vehicle => `
+            <li>
+              <i class="fas fa-car"></i>
+              <a href="${vehicle.page}">${escapeHtml(vehicle.name)}</a> · ${getSeatsLabel(vehicle)}
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `;
+  }
+
+  renderSeasons() {
+    const seasons = this.tour.seasons || [];
+    if (!seasons.length) return '';
+
+    return `
+      <div>
+        <h4>When to go</h4>
+        <ul>
+          ${seasons.map(season => `
+            <li class="itinerary-season is-${season.kind}">
+              <strong>${SEASON_LABELS[season.kind]}: ${escapeHtml(season.label)}</strong>
+              (${formatSeason(season)})
+              ${season.note ? `<br /><small>${escapeHtml(season.note)}</small>` : ''}
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `;
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Trip Types
+ * Booking modes (one-way, round trip, outstation, airport, hourly) and the
+ * fields and validation each one needs
+ */
+
+export const TRIP_TYPES = {
+  oneway: { label: 'One Way', roundTrip: false },
+  roundtrip: { label: 'Round Trip', roundTrip: true },
+  outstation: { label: 'Outstation', roundTrip: true },
+  airport: { label: 'Airport', roundTrip: false },
+  hourly: { label: 'Hourly Rental', roundTrip: false }
+};
+
+export const DEFAULT_TRIP_TYPE = 'oneway';
+
+// Local rental packages. Extra time/distance is billed at the hourly tariff.
+export const HOURLY_PACKAGES = [
+  { id: '4h40km', label: '4 hours / 40 km', hours: 4, km: 40 },
+  { id: '8h80km', label: '8 hours / 80 km', hours: 8, km: 80 },
+  { id: '12h120km', label: '12 hours / 120 km', hours: 12, km: 120 }
+];
+
+export const MAX_OUTSTATION_DAYS = 30;
+
+// IATA airline code + flight number, e.g. "6E 512" or "AI540"
+const FLIGHT_NUMBER_REGEX = /^[A-Z0-9]{2}\s?\d{1,4}[A-Z]?$/i;
+
+export function getHourlyPackage(id) {
+  return HOURLY_PACKAGES.find(pkg => pkg.id === id) || null;
+}
+
+// Number of calendar days covered by a trip (inclusive)
+export function getTripDays({ tripType, date, returnDate, days }) {
+  if (tripType === 'outstation') {
+    return Math.max(1, parseInt(days, 10) || 1);
+  }
+
+  if (tripType === 'roundtrip' && date && returnDate) {
+    const start = new Date(`${date}T00:00:00`);
+    const end = new Date(`${returnDate}T00:00:00`);
+    return Math.max(1, Math.round((end - start) / 86400000) + 1);
+  }
+
+  return 1;
+}
+
+// Field validators for FormHandler. Each returns an error message or ''.
+export const tripValidators = {
+  returnDate(value, form) {
+    const date = form.elements.date?.value;
+    if (value && date && value < date) {
+      return 'Return date cannot be before the pickup date';
+    }
+    return '';
+  },
+
+  days(value) {
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_OUTSTATION_DAYS) {
+      return `Please enter between 1 and ${MAX_OUTSTATION_DAYS} days`;
+    }
+    return '';
+  },
+
+  flightNumber(value) {
+    if (value && !FLIGHT_NUMBER_REGEX.test(value)) {
+      return 'Please enter a flight number like 6E 512';
+    }
+    return '';
+  },
+
+  hoursPackage(value) {
+    return getHourlyPackage(value) ? '' : 'Please choose a rental package';
+  }
+};
+
+// Trip Type Selector Component
+// Shows the `[data-trip-fields]` blocks that apply to the selected trip type.
+// Hidden fields are disabled so they are skipped by validation and FormData.
+export class TripTypeSelector {
+  constructor(formId) {
+    this.form = document.getElementById(formId);
+    this.radios = this.form ? this.form.querySelectorAll('input[name="tripType"]') : [];
+    this.sections = this.form ? this.form.querySelectorAll('[data-trip-fields]') : [];
+
+    this.init();
+  }
+
+  init() {
+    if (this.radios.length === 0) return;
+
+    this.bindEvents();
+    this.update();
+  }
+
+  bindEvents() {
+    this.radios.forEach(radio => {
+      radio.addEventListener('change', () => this.update());
+    });
+    this.form.addEventListener('reset', () => setTimeout(() => this.update(), 0));
+  }
+
+  get tripType() {
+    const checked = Array.from(this.radios).find(radio => radio.checked);
+    return checked?.value || DEFAULT_TRIP_TYPE;
+  }
+
+  setTripType(tripType) {
+    const radio = Array.from(this.radios).find(item => item.value === tripType);
+    if (!radio) return;
+
+    radio.checked = true;
+    radio.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  update() {
+    const tripType = this.tripType;
+
+    this.sections.forEach(section => {
+      const visible = section.dataset.tripFields.split(' ').includes(tripType);
+      section.hidden = !visible;
+
+      section.querySelectorAll('input, select, textarea').forEach(field => {
+        field.disabled = !visible;
+        if (!visible) {
+          field.classList.remove('error');
+          section.querySelectorAll('.field-error').forEach(error => error.remove());
+        }
+      });
+    });
+  }
+}
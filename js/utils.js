@@ -70,14 +70,86 @@ export function smoothScrollTo(element, offset = 0) {
   requestAnimationFrame(animation);
 }
 
-// Format phone number
+// STD codes without the leading 0: two digits for metros, four for smaller
+// towns, e.g. Attur 04282. Codes not listed are treated as three digits,
+// e.g. Salem 0427, Coimbatore 0422. The longest listed prefix wins.
+const METRO_STD_CODES = ['11', '20', '22', '33', '40', '44', '79', '80'];
+const TOWN_STD_CODES = [
+  '4281', // Yercaud
+  '4282', // Attur
+  '4283', // Sankagiri
+  '4286', // Namakkal
+  '4287', // Rasipuram
+  '4288', // Tiruchengode
+  '4290', // Omalur
+  '4292', // Vazhapadi
+  '4298', // Mettur
+  '4542' // Kodaikanal
+];
+
+function getStdLength(nsn) {
+  if (TOWN_STD_CODES.includes(nsn.slice(0, 4))) return 4;
+  if (METRO_STD_CODES.includes(nsn.slice(0, 2))) return 2;
+  return 3;
+}
+
+// Parse an Indian phone number. Accepts +91 / 0091 / 91 / 0 prefixes and
+// common separators. Returns null if the number is not valid.
+export function parsePhone(phone) {
+  const compact = String(phone || '').replace(/[\s\-().]/g, '');
+  if (!/^\+?\d+$/.test(compact)) return null;
+
+  // A leading 0 on its own is the trunk prefix dialled before an STD code
+  const trunk = compact.startsWith('0') && !compact.startsWith('0091');
+
+  let nsn;
+  if (compact.startsWith('+')) {
+    if (!compact.startsWith('+91')) return null;
+    nsn = compact.slice(3);
+  } else if (compact.startsWith('0091')) {
+    nsn = compact.slice(4);
+  } else if (compact.length === 12 && compact.startsWith('91')) {
+    nsn = compact.slice(2);
+  } else if (trunk) {
+    nsn = compact.slice(1);
+  } else {
+    nsn = compact;
+  }
+
+  // National significant numbers are 10 digits; mobiles start with 6-9
+  if (!/^[1-9]\d{9}$/.test(nsn)) return null;
+
+  // STD codes can start with 6-9 too (080 Bengaluru, 0821 Mysuru), so a
+  // number written with the trunk prefix is a landline
+  const type = !trunk && /^[6-9]/.test(nsn) ? 'mobile' : 'landline';
+  const stdLength = getStdLength(nsn);
+
+  return {
+    type,
+    nsn,
+    e164: `+91${nsn}`,
+    stdCode: type === 'landline' ? `0${nsn.slice(0, stdLength)}` : null
+  };
+}
+
+// Normalise to E.164 (+919894338777) for storage
+export function normalizePhone(phone) {
+  return parsePhone(phone)?.e164 || null;
+}
+
+// Format phone number for display: +91 98943 38777 / +91 427 2345678 /
+// +91 4282 234567
 export function formatPhoneNumber(phoneNumber) {
-  const cleaned = phoneNumber.replace(/\D/g, '');
-  const match = cleaned.match(/^(\d{3})(\d{3})(\d{4})$/);
-  if (match) {
-    return `(${match[1]}) ${match[2]}-${match[3]}`;
+  const parsed = parsePhone(phoneNumber);
+  if (!parsed) return phoneNumber;
+
+  const { nsn, type, stdCode } = parsed;
+  if (type === 'mobile') {
+    return `+91 ${nsn.slice(0, 5)} ${nsn.slice(5)}`;
   }
-  return phoneNumber;
+
+  const std = stdCode.slice(1);
+  return `+91 ${std} ${nsn.slice(std.length)}`;
 }
 
 // Validate email
@@ -86,27 +158,47 @@ export function isValidEmail(email) {
   return emailRegex.test(email);
 }
 
-// Validate phone number
+// Validate Indian mobile or landline number
 export function isValidPhone(phone) {
-  const phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
-  return phoneRegex.test(phone.replace(/\D/g, ''));
+  return parsePhone(phone) !== null;
+}
+
+// Format a date as YYYY-MM-DD (local time, for <input type="date">)
+export function formatDateInput(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+// Format a time as HH:MM (local time, for <input type="time">)
+export function formatTimeInput(date) {
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  return `${hours}:${minutes}`;
 }
 
 // Get current date in YYYY-MM-DD format
 export function getCurrentDate() {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, '0');
-  const day = String(today.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+  return formatDateInput(new Date());
 }
 
 // Get current time in HH:MM format
 export function getCurrentTime() {
-  const now = new Date();
-  const hours = String(now.getHours()).padStart(2, '0');
-  const minutes = String(now.getMinutes()).padStart(2, '0');
-  return `${hours}:${minutes}`;
+  return formatTimeInput(new Date());
+}
+
+// Analytics event tracking (Google Analytics when available)
+export function trackEvent(category, action, label) {
+  if (typeof gtag !== 'undefined') {
+    gtag('event', action, {
+      event_category: category,
+      event_label: label
+    });
+  }
+
+  // Console log for development
+  console.log(`📊 Event tracked: ${category} - ${action} - ${label}`);
 }
 
 // Local storage helpers
@@ -292,6 +384,22 @@ export function generateId(prefix = 'id') {
   return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 }
 
+// Booking references are made by the server (server/server.js) and read
+// out over the phone, so they skip characters that are easy to confuse
+// (0/O, 1/I/L). Keep in sync with REFERENCE_ALPHABET there.
+const REFERENCE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+// Tidy a typed reference ("rct 7kq4mx" → "RCT-7KQ4MX"). Returns null if it
+// can't be a booking reference.
+export function normalizeReference(value) {
+  const text = String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const match = text.match(/^(?:RCT)?([A-Z0-9]{6})$/);
+  if (!match) return null;
+
+  const code = match[1];
+  return Array.from(code).every(char => REFERENCE_ALPHABET.includes(char)) ? `RCT-${code}` : null;
+}
+
 // Deep clone object
 export function deepClone(obj) {
   if (obj === null || typeof obj !== 'object') return obj;
@@ -313,6 +421,16 @@ export function formatCurrency(amount, currency = '₹') {
   return `${currency}${amount.toLocaleString()}`;
 }
 
+// Escape text for safe use inside HTML templates
+export function escapeHtml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 // Capitalize first letter
 export function capitalize(str) {
   return str.charAt(0).toUpperCase() + str.slice(1);
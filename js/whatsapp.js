@@ -0,0 +1,92 @@
+/**
+ * WhatsApp Hand-off
+ * Compose a prefilled wa.me message from booking or contact form data
+ */
+
+import { formatCurrency, formatPhoneNumber } from './utils.js';
+import { TRIP_TYPES, getHourlyPackage } from './trips.js';
+
+// Business WhatsApp number in international format without "+"
+export const WHATSAPP_NUMBER = '919894338777';
+
+const SERVICE_LABELS = {
+  local: 'Local Ride',
+  airport: 'Airport Transfer',
+  outstation: 'Outstation Tour',
+  other: 'Other'
+};
+
+// Build the message text. Empty values are left out.
+export function buildBookingMessage(data) {
+  const when = [data.date, data.time && `at ${data.time}`].filter(Boolean).join(' ');
+  const details = [
+    ['Name', data.name],
+    ['Phone', data.phone && formatPhoneNumber(data.phone)],
+    ['Service', SERVICE_LABELS[data.service]],
+    ['Trip', TRIP_TYPES[data.tripType]?.label],
+    ['Pickup', data.pickup],
+    ['Drop', data.destination],
+    ['Date', when],
+    ['Return', data.returnDate],
+    ['Days', data.days],
+    ['Flight', data.flightNumber],
+    ['Package', getHourlyPackage(data.hoursPackage)?.label],
+    ['Vehicle', data.vehicleName],
+    ['Passengers', data.passengers],
+    ['Bags', data.luggage],
+    ['Estimated fare', data.fareEstimate ? formatCurrency(data.fareEstimate) : ''],
+    ['Message', data.message]
+  ];
+
+  const lines = details
+    .filter(([, value]) => value !== undefined && value !== null && String(value).trim() !== '')
+    .map(([label, value]) => `${label}: ${String(value).trim()}`);
+
+  return ['Hi Rainbow Call Taxi, I would like to book a cab.', '', ...lines].join('\n');
+}
+
+export function buildWhatsAppUrl(message, number = WHATSAPP_NUMBER) {
+  return `https://wa.me/${number}?text=${encodeURIComponent(message)}`;
+}
+
+// WhatsApp Hand-off Component
+// Binds `[data-whatsapp]` buttons inside a form to open a prefilled chat.
+export class WhatsAppHandoff {
+  constructor(form, options = {}) {
+    this.form = typeof form === 'string' ? document.getElementById(form) : form;
+    this.options = {
+      serialize: null,
+      onHandoff: null,
+      ...options
+    };
+
+    this.init();
+  }
+
+  init() {
+    if (!this.form) return;
+
+    this.form.querySelectorAll('[data-whatsapp]').forEach(button => {
+      button.addEventListener('click', () => this.handoff());
+    });
+  }
+
+  getData() {
+    const data = {};
+    for (const [key, value] of new FormData(this.form).entries()) {
+      data[key] = value;
+    }
+    return this.options.serialize ? this.options.serialize(data, this.form) : data;
+  }
+
+  handoff() {
+    const data = this.getData();
+    const url = buildWhatsAppUrl(buildBookingMessage(data));
+
+    window.open(url, '_blank', 'noopener');
+
+    if (this.options.onHandoff) {
+      this.options.onHandoff(data, url);
+    }
+  }
+}
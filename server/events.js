@@ -0,0 +1,38 @@
+/**
+ * Server-Sent Events
+ * Pushes booking changes to open operator dashboards
+ */
+
+const HEARTBEAT_MS = 25000;
+
+class EventHub {
+  constructor() {
+    this.clients = new Set();
+  }
+
+  // Take over a response and keep it open as an event stream
+  subscribe(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write('retry: 3000\n\n');
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    this.clients.add(res);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      this.clients.delete(res);
+    });
+  }
+
+  publish(type, data) {
+    const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    this.clients.forEach(res => res.write(message));
+  }
+}
+
+module.exports = { EventHub };
@@ -0,0 +1,970 @@
+/**
+ * Local Booking Server
+ * Stand-in for the production booking backend. Serves the static site and a
+ * small JSON API so bookings can be tested end to end offline.
+ *
+ * Usage: node server/server.js   (then open http://localhost:5050)
+ *        Dispatch dashboard: http://localhost:5050/dashboard.html
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { JsonStore } = require('./store');
+const { EventHub } = require('./events');
+
+const PORT = Number(process.env.PORT) || 5050;
+const ROOT_DIR = path.join(__dirname, '..');
+const MAX_BODY_SIZE = 100 * 1024;
+
+// Keep in sync with js/trips.js
+const TRIP_TYPES = ['oneway', 'roundtrip', 'outstation', 'airport', 'hourly'];
+const HOURLY_PACKAGES = ['4h40km', '8h80km', '12h120km'];
+
+// The same catalogue the site's fleet cards and booking form are built from
+const FLEET = require('../data/fleet.json');
+const MAX_PASSENGERS = Math.max(...FLEET.vehicles.map(vehicle => vehicle.seats));
+
+// Keep in sync with js/schedule.js
+const MIN_LEAD_MINUTES = { oneway: 60, roundtrip: 60, outstation: 120, airport: 90, hourly: 60 };
+const MAX_ADVANCE_DAYS = 90;
+
+const VEHICLE_CLASSES = FLEET.classes.map(vehicleClass => vehicleClass.id);
+
+// Keep in sync with js/itinerary.js
+const MAX_ITINERARY_STOPS = 10;
+const MAX_NIGHTS_PER_STOP = 14;
+
+// Vans pilgrim groups are sized into, shared with js/pilgrimage.js
+const PILGRIM_VANS = FLEET.pilgrimVans.vehicles;
+const MAX_PILGRIM_VANS = FLEET.pilgrimVans.maxPerBooking;
+
+// Tour packages, for the temple seasons
+const { tours: TOURS } = require('../data/tours.json');
+
+// Keep in sync with CANCELLATION_POLICY in js/manage.js
+const CANCELLATION_FREE_HOURS = 12;
+const CANCELLATION_FEES = { sedans: 200, suvs: 300, vans: 500 };
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.xml': 'application/xml',
+  '.txt': 'text/plain'
+};
+
+const stores = {
+  bookings: new JsonStore('bookings'),
+  messages: new JsonStore('messages'),
+  vehicles: new JsonStore('vehicles'),
+  drivers: new JsonStore('drivers')
+};
+
+// Live booking updates for the operator dashboard
+const bookingEvents = new EventHub();
+
+// ===== HELPERS =====
+
+class HttpError extends Error {
+  constructor(status, message, { code = 'http_error', fields } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+  }
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(JSON.stringify(payload));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new HttpError(413, 'Request body too large', { code: 'payload_too_large' }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (chunks.length === 0) return resolve({});
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new HttpError(400, 'Request body must be valid JSON', { code: 'invalid_json' }));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+// Collect "field is required" errors and throw them as one 422 response
+function requireFields(body, fields) {
+  const errors = {};
+
+  fields.forEach(field => {
+    const value = body[field];
+    if (value === undefined || value === null || String(value).trim() === '') {
+      errors[field] = 'This field is required';
+    }
+  });
+
+  return errors;
+}
+
+function assertValid(errors) {
+  if (Object.keys(errors).length > 0) {
+    throw new HttpError(422, 'Some fields are invalid', { code: 'validation_error', fields: errors });
+  }
+}
+
+// Indian phone numbers to E.164. Keep in sync with parsePhone in js/utils.js
+function normalizePhone(phone) {
+  const compact = String(phone || '').replace(/[\s\-().]/g, '');
+  if (!/^\+?\d+$/.test(compact)) return null;
+
+  let nsn = compact;
+  if (compact.startsWith('+')) {
+    if (!compact.startsWith('+91')) return null;
+    nsn = compact.slice(3);
+  } else if (compact.startsWith('0091')) {
+    nsn = compact.slice(4);
+  } else if (compact.length === 12 && compact.startsWith('91')) {
+    nsn = compact.slice(2);
+  } else if (compact.startsWith('0')) {
+    nsn = compact.slice(1);
+  }
+
+  return /^[1-9]\d{9}$/.test(nsn) ? `+91${nsn}` : null;
+}
+
+// Short booking reference, e.g. "RCT-7KQ4MX". Customers type it back in,
+// so keep the alphabet in sync with normalizeReference in js/utils.js
+const REFERENCE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+function generateReference() {
+  let reference;
+  do {
+    const code = Array.from(crypto.randomBytes(6), byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]).join('');
+    reference = `RCT-${code}`;
+  } while (stores.bookings.find(booking => booking.reference === reference));
+  return reference;
+}
+
+function compactReference(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// What a customer may send with a new booking. Everything else on a booking
+// (status, driver, fees, timestamps) is set by the server or the dispatcher.
+const BOOKING_FIELDS = [
+  'tripType', 'pickup', 'pickupPlaceId', 'destination', 'destinationPlaceId', 'date', 'time',
+  'returnDate', 'days', 'hoursPackage', 'flightNumber', 'itinerary', 'distanceKm', 'pilgrimage',
+  'name', 'phone', 'vehicle', 'passengers', 'luggage', 'fareEstimate'
+];
+
+function pickBookingFields(body) {
+  const booking = {};
+  BOOKING_FIELDS.forEach(field => {
+    if (body[field] !== undefined) booking[field] = body[field];
+  });
+
+  // Vehicle details come from our catalogue, not the request. The fare is
+  // the estimate the customer was shown, kept only if it is a plain amount.
+  const vehicle = FLEET.vehicles.find(item => item.id === body.vehicle);
+  booking.vehicleName = vehicle?.name ?? null;
+  booking.vehicleClass = vehicle?.vehicleClass ?? null;
+  booking.fareEstimate = Number.isFinite(body.fareEstimate) && body.fareEstimate >= 0
+    ? Math.round(body.fareEstimate)
+    : null;
+  return booking;
+}
+
+// What a customer may see about their own booking
+function toPublicBooking(booking) {
+  const fields = [
+    'reference', 'status', 'tripType', 'pickup', 'destination', 'date', 'time',
+    'returnDate', 'days', 'itinerary', 'pilgrimage', 'hoursPackage', 'vehicleName', 'vehicleClass', 'passengers',
+    'fareEstimate', 'vehicleNumber', 'cancelReason', 'cancellationFee', 'cancelledAt',
+    'rescheduledAt', 'createdAt', 'updatedAt'
+  ];
+  const view = {};
+  fields.forEach(field => {
+    if (booking[field] !== undefined) view[field] = booking[field];
+  });
+  if (booking.driver) {
+    view.driver = { name: booking.driver.name, phone: booking.driver.phone };
+  }
+  return view;
+}
+
+function isValidDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00`).getTime());
+}
+
+function isValidTime(value) {
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+// ===== ROUTES =====
+
+const routes = [];
+
+function route(method, pattern, handler) {
+  routes.push({ method, pattern, handler });
+}
+
+route('GET', /^\/api\/health$/, () => ({ body: { status: 'ok' } }));
+
+route('POST', /^\/api\/bookings$/, async (req) => {
+  const body = await readJsonBody(req);
+  const tripType = body.tripType || 'oneway';
+  const required = ['pickup', 'date', 'time', 'name', 'phone'];
+
+  if (!TRIP_TYPES.includes(tripType)) {
+    assertValid({ tripType: 'Unknown trip type' });
+  }
+  if (tripType !== 'hourly') required.push('destination');
+  if (tripType === 'roundtrip') required.push('returnDate');
+  if (tripType === 'outstation') required.push('days');
+  if (tripType === 'hourly') required.push('hoursPackage');
+
+  const errors = requireFields(body, required);
+
+  if (body.date && !errors.date && !isValidDate(body.date)) {
+    errors.date = 'Please enter a valid date';
+  }
+  if (body.time && !errors.time && !isValidTime(body.time)) {
+    errors.time = 'Please enter a valid time';
+  }
+  if (!errors.date && !errors.time) {
+    Object.assign(errors, checkPickupWindow(tripType, body));
+  }
+  if (tripType === 'roundtrip' && body.returnDate && !errors.returnDate &&
+      (!isValidDate(body.returnDate) || body.returnDate < body.date)) {
+    errors.returnDate = 'Return date cannot be before the pickup date';
+  }
+  if (tripType === 'outstation' && !errors.days &&
+      !(Number.isInteger(Number(body.days)) && body.days >= 1 && body.days <= 30)) {
+    errors.days = 'Please enter between 1 and 30 days';
+  }
+  if (body.phone && !errors.phone && !normalizePhone(body.phone)) {
+    errors.phone = 'Please enter a valid Indian mobile or landline number';
+  }
+  if (tripType === 'hourly' && !errors.hoursPackage && !HOURLY_PACKAGES.includes(body.hoursPackage)) {
+    errors.hoursPackage = 'Please choose a rental package';
+  }
+  // Only outstation trips have the days an itinerary is checked against
+  if (body.itinerary != null && tripType !== 'outstation') {
+    errors.itinerary = 'Custom trips are booked as outstation trips';
+  } else if (body.itinerary != null && !errors.days) {
+    const problem = checkItinerary(body.itinerary, Number(body.days));
+    if (problem) errors.itinerary = problem;
+  }
+  if (body.pilgrimage != null) {
+    Object.assign(errors, checkPilgrimage(body.pilgrimage, body.date));
+  }
+  if (body.passengers != null &&
+      !(Number.isInteger(Number(body.passengers)) && body.passengers >= 1 && body.passengers <= MAX_PASSENGERS)) {
+    errors.passengers = `Please enter between 1 and ${MAX_PASSENGERS} passengers`;
+  }
+  assertValid(errors);
+
+  // Availability goes by the class of the vehicle asked for, as looked up
+  // by pickBookingFields, never a class the request claims
+  const fields = pickBookingFields(body);
+  assertAvailable(fields);
+
+  const now = new Date().toISOString();
+  const booking = stores.bookings.insert({
+    ...fields,
+    ...(body.pilgrimage != null && { pilgrimage: getPilgrimageDetails(body.pilgrimage) }),
+    phone: normalizePhone(body.phone),
+    id: crypto.randomUUID(),
+    reference: generateReference(),
+    status: 'received',
+    createdAt: now,
+    updatedAt: now
+  });
+
+  console.log(`🚕 Booking ${booking.reference}: ${booking.pickup} → ${booking.destination} on ${booking.date} ${booking.time}`);
+  bookingEvents.publish('booking', booking);
+  return { status: 201, body: { booking } };
+});
+
+// Custom trips from the itinerary builder: stops in order with the nights
+// spent at each. The trip has to be long enough for all of them.
+function checkItinerary(itinerary, days) {
+  if (!Array.isArray(itinerary) || itinerary.length === 0 || itinerary.length > MAX_ITINERARY_STOPS) {
+    return `Please plan between 1 and ${MAX_ITINERARY_STOPS} stops`;
+  }
+
+  const invalid = itinerary.some(stop =>
+    !stop || typeof stop.name !== 'string' || !stop.name.trim() ||
+    !(Number.isInteger(stop.nights) && stop.nights >= 0 && stop.nights <= MAX_NIGHTS_PER_STOP)
+  );
+  if (invalid) {
+    return `Each stop needs a place and between 0 and ${MAX_NIGHTS_PER_STOP} nights`;
+  }
+
+  const nights = itinerary.reduce((total, stop) => total + stop.nights, 0);
+  return days < nights + 1 ? `A trip with ${nights} nights takes at least ${nights + 1} days` : '';
+}
+
+// Is `date` (YYYY-MM-DD) inside a season of MM-DD dates? Keep in sync with
+// isInSeason in js/tours.js
+function isInSeason(season, date) {
+  const day = date.slice(5);
+  return season.from <= season.to
+    ? day >= season.from && day <= season.to
+    : day >= season.from || day <= season.to;
+}
+
+function getPilgrimTour(pilgrimage) {
+  return TOURS.find(tour => tour.id === pilgrimage?.tour && tour.pilgrimage) || null;
+}
+
+// Temple tours booked in pilgrimage mode: the darshan slot and the vans the
+// group was sized into. Returns field errors.
+function checkPilgrimage(pilgrimage, date) {
+  const errors = {};
+  const { darshanDate, darshanTime, devotees, vans } = pilgrimage || {};
+
+  if (!getPilgrimTour(pilgrimage)) {
+    errors.pilgrimage = 'Pilgrimage mode is only for our temple tours';
+  }
+
+  if (!isValidDate(darshanDate) || (isValidDate(date) && darshanDate < date)) {
+    errors.darshanDate = 'Please enter a darshan date on or after the pickup date';
+  }
+  if (!isValidTime(darshanTime)) {
+    errors.darshanTime = 'Please enter a valid darshan time';
+  }
+
+  const planned = Array.isArray(vans) && vans.length <= MAX_PILGRIM_VANS && vans.every(id => PILGRIM_VANS.includes(id));
+  const seats = planned
+    ? vans.reduce((total, id) => total + FLEET.vehicles.find(vehicle => vehicle.id === id).seats, 0)
+    : 0;
+  if (!(Number.isInteger(devotees) && devotees >= 1) || seats < devotees) {
+    errors.devotees = 'Please call us to plan vans for your group';
+  }
+  return errors;
+}
+
+// The checked pilgrimage details to store. Seasonal temples (Sabarimala)
+// also open for a few days a month, so a darshan date out of season is
+// flagged for the dispatcher to confirm rather than turned away.
+function getPilgrimageDetails(pilgrimage) {
+  const tour = getPilgrimTour(pilgrimage);
+  const { darshanDate, darshanTime, devotees, vans } = pilgrimage;
+
+  return {
+    tour: tour.id,
+    darshanDate,
+    darshanTime,
+    devotees,
+    vans,
+    outOfSeason: Boolean(tour.pilgrimage.seasonalOnly) &&
+      !(tour.seasons || []).some(season => isInSeason(season, darshanDate))
+  };
+}
+
+// Customers look bookings up by reference and phone number. Both must
+// match, and a miss doesn't say which one was wrong.
+function findCustomerBooking(body) {
+  assertValid(requireFields(body, ['reference', 'phone']));
+
+  const reference = compactReference(body.reference);
+  const phone = normalizePhone(body.phone);
+  const booking = phone && stores.bookings.find(item =>
+    compactReference(item.reference) === reference && item.phone === phone
+  );
+
+  if (!booking) {
+    throw new HttpError(404, 'We could not find a booking with that reference and phone number', { code: 'booking_not_found' });
+  }
+
+  return booking;
+}
+
+function getPickupDate(booking) {
+  return new Date(`${booking.date}T${booking.time || '00:00'}`);
+}
+
+// New and moved pickups must leave us the trip type's lead time and fall
+// within the booking window
+function checkPickupWindow(tripType, { date, time }) {
+  const pickup = getPickupDate({ date, time });
+  const lead = MIN_LEAD_MINUTES[tripType] ?? MIN_LEAD_MINUTES.oneway;
+  const latest = new Date();
+  latest.setDate(latest.getDate() + MAX_ADVANCE_DAYS + 1);
+
+  if (pickup < new Date(Date.now() + lead * 60000)) {
+    return { time: `Please book at least ${lead} minutes before pickup` };
+  }
+  if (pickup > latest) {
+    return { date: `We take bookings up to ${MAX_ADVANCE_DAYS} days ahead` };
+  }
+  return {};
+}
+
+// Completed, cancelled and past bookings can only be changed by phone
+function assertChangeable(booking) {
+  if (booking.status === 'completed' || booking.status === 'cancelled') {
+    throw new HttpError(409, `This booking is already ${booking.status}`, { code: 'booking_closed' });
+  }
+  if (getPickupDate(booking) <= new Date()) {
+    throw new HttpError(409, 'The pickup time has passed. Please call us to make changes.', { code: 'pickup_passed' });
+  }
+}
+
+route('POST', /^\/api\/bookings\/lookup$/, async (req) => {
+  const booking = findCustomerBooking(await readJsonBody(req));
+  return { body: { booking: toPublicBooking(booking) } };
+});
+
+route('POST', /^\/api\/bookings\/cancel$/, async (req) => {
+  const body = await readJsonBody(req);
+  const booking = findCustomerBooking(body);
+  assertChangeable(booking);
+
+  const hoursLeft = (getPickupDate(booking) - new Date()) / 3600000;
+  const fee = hoursLeft >= CANCELLATION_FREE_HOURS
+    ? 0
+    : CANCELLATION_FEES[booking.vehicleClass] ?? CANCELLATION_FEES.sedans;
+
+  const updated = stores.bookings.update(booking.id, {
+    status: 'cancelled',
+    cancelReason: body.reason ? String(body.reason).slice(0, 200) : null,
+    cancellationFee: fee,
+    cancelledAt: new Date().toISOString()
+  });
+
+  console.log(`❌ Booking ${updated.reference} cancelled by customer (fee ${fee})`);
+  bookingEvents.publish('booking', updated);
+  return { body: { booking: toPublicBooking(updated) } };
+});
+
+// A new pickup time goes back to "received" so we reconfirm the driver
+route('POST', /^\/api\/bookings\/reschedule$/, async (req) => {
+  const body = await readJsonBody(req);
+  const booking = findCustomerBooking(body);
+  assertChangeable(booking);
+
+  const errors = requireFields(body, ['date', 'time']);
+  if (body.date && !errors.date && !isValidDate(body.date)) {
+    errors.date = 'Please enter a valid date';
+  }
+  if (body.time && !errors.time && !isValidTime(body.time)) {
+    errors.time = 'Please enter a valid time';
+  }
+  assertValid(errors);
+
+  assertValid(checkPickupWindow(booking.tripType, body));
+  assertAvailable({ ...booking, date: body.date }, booking.id);
+
+  const updated = stores.bookings.update(booking.id, {
+    date: body.date,
+    time: body.time,
+    status: 'received',
+    driver: null,
+    vehicleId: null,
+    vehicleNumber: null,
+    vehicleModel: null,
+    rescheduledFrom: { date: booking.date, time: booking.time },
+    rescheduledAt: new Date().toISOString()
+  });
+
+  console.log(`🔁 Booking ${updated.reference} moved to ${updated.date} ${updated.time}`);
+  bookingEvents.publish('booking', updated);
+  return { body: { booking: toPublicBooking(updated) } };
+});
+
+// What the contact forms send
+const MESSAGE_FIELDS = ['name', 'email', 'phone', 'service', 'message'];
+
+route('POST', /^\/api\/messages$/, async (req) => {
+  const body = await readJsonBody(req);
+  const errors = requireFields(body, ['name', 'phone']);
+
+  if (body.phone && !errors.phone && !normalizePhone(body.phone)) {
+    errors.phone = 'Please enter a valid Indian mobile or landline number';
+  }
+  assertValid(errors);
+
+  const fields = {};
+  MESSAGE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+
+  const message = stores.messages.insert({
+    ...fields,
+    phone: normalizePhone(body.phone),
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString()
+  });
+
+  return { status: 201, body: { message } };
+});
+
+// ===== OPERATOR =====
+// The dispatch dashboard (dashboard.html) runs on the office machine, so its
+// API only answers requests from this computer and from our own pages.
+
+// What each dashboard action does to a booking's status
+const OPERATOR_ACTIONS = {
+  confirm: { from: ['received'], to: 'confirmed' },
+  assign: { from: ['received', 'confirmed', 'assigned'], to: 'assigned' },
+  complete: { from: ['confirmed', 'assigned'], to: 'completed' },
+  cancel: { from: ['received', 'confirmed', 'assigned'], to: 'cancelled' }
+};
+
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+// Host of an Origin header, or null for `Origin: null` (sandboxed and
+// file:// pages) and anything else that isn't a URL
+function getOriginHost(origin) {
+  try {
+    return new URL(origin).host;
+  } catch {
+    return null;
+  }
+}
+
+function assertOperator(req) {
+  const origin = req.headers.origin;
+  const sameOrigin = !origin || getOriginHost(origin) === req.headers.host;
+
+  if (!LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress) || !sameOrigin) {
+    throw new HttpError(403, 'The operator dashboard is only available on the office computer', { code: 'forbidden' });
+  }
+}
+
+route('GET', /^\/api\/operator\/bookings$/, (req) => {
+  assertOperator(req);
+  return { body: { bookings: stores.bookings.all() } };
+});
+
+route('GET', /^\/api\/operator\/events$/, (req, params, res) => {
+  assertOperator(req);
+  bookingEvents.subscribe(req, res);
+  return { stream: true };
+});
+
+route('PATCH', /^\/api\/operator\/bookings\/([\w-]+)$/, async (req, [id]) => {
+  assertOperator(req);
+  const body = await readJsonBody(req);
+  const booking = stores.bookings.find(item => item.id === id);
+
+  if (!booking) {
+    throw new HttpError(404, 'Booking not found', { code: 'booking_not_found' });
+  }
+
+  // Own keys only, so "toString" and friends are unknown actions too
+  if (!Object.hasOwn(OPERATOR_ACTIONS, body.action)) {
+    throw new HttpError(400, 'Unknown action', { code: 'unknown_action' });
+  }
+  const action = OPERATOR_ACTIONS[body.action];
+  if (!action.from.includes(booking.status)) {
+    throw new HttpError(409, `Cannot ${body.action} a ${booking.status} booking`, { code: 'invalid_transition' });
+  }
+
+  const changes = { status: action.to };
+
+  if (body.action === 'assign') {
+    const errors = requireFields(body, ['driverId', 'vehicleId']);
+    const driver = body.driverId && stores.drivers.find(item => item.id === body.driverId && item.active);
+    const vehicle = body.vehicleId && stores.vehicles.find(item => item.id === body.vehicleId && item.active);
+
+    if (body.driverId && !driver) {
+      errors.driverId = 'Please choose a driver from the roster';
+    } else if (driver && isExpiredOn(driver.licenceExpiry, booking.date)) {
+      errors.driverId = `${driver.name}'s licence expires before this trip`;
+    }
+
+    if (body.vehicleId && !vehicle) {
+      errors.vehicleId = 'Please choose a vehicle from the roster';
+    } else if (vehicle) {
+      const expired = VEHICLE_DOCUMENTS.find(field => isExpiredOn(vehicle[field], booking.date));
+      if (expired) {
+        errors.vehicleId = `${vehicle.registration}: ${DOCUMENT_LABELS[expired]} expires before this trip`;
+      } else if (booking.passengers && vehicle.seats < booking.passengers) {
+        errors.vehicleId = `${vehicle.registration} seats ${vehicle.seats}, this group is ${booking.passengers}`;
+      }
+    }
+    assertValid(errors);
+
+    changes.driver = { id: driver.id, name: driver.name, phone: driver.phone };
+    changes.vehicleId = vehicle.id;
+    changes.vehicleNumber = vehicle.registration;
+    changes.vehicleModel = vehicle.model;
+  }
+
+  if (body.action === 'cancel') {
+    changes.cancelReason = body.reason ? String(body.reason).slice(0, 200) : 'Cancelled by Rainbow Call Taxi';
+    changes.cancellationFee = 0;
+    changes.cancelledAt = new Date().toISOString();
+  }
+
+  if (body.action === 'complete') {
+    changes.completedAt = new Date().toISOString();
+  }
+
+  const updated = stores.bookings.update(booking.id, changes);
+  console.log(`🛠️  Booking ${updated.reference}: ${body.action} → ${updated.status}`);
+  bookingEvents.publish('booking', updated);
+
+  return { body: { booking: updated } };
+});
+
+// ===== ROSTER =====
+// The cars and drivers the dashboard assigns to bookings. Documents are
+// valid up to and including their expiry date.
+
+// Keep in sync with js/roster.js
+const VEHICLE_DOCUMENTS = ['permitExpiry', 'insuranceExpiry'];
+const DOCUMENT_LABELS = { permitExpiry: 'permit', insuranceExpiry: 'insurance', licenceExpiry: 'licence' };
+
+function isExpiredOn(expiry, date) {
+  return !expiry || expiry < date;
+}
+
+// "tn30ab1234" → "TN 30 AB 1234". Keep in sync with formatRegistration in js/roster.js
+function formatRegistration(value) {
+  const match = String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '')
+    .match(/^([A-Z]{2})(\d{1,2})([A-Z]{0,3})(\d{1,4})$/);
+  return match ? match.slice(1).filter(Boolean).join(' ') : null;
+}
+
+function validateVehicle(vehicle) {
+  const errors = requireFields(vehicle, ['registration', 'model', 'vehicleClass', 'seats', ...VEHICLE_DOCUMENTS]);
+
+  if (vehicle.registration && !errors.registration) {
+    const registration = formatRegistration(vehicle.registration);
+    if (!registration) {
+      errors.registration = 'Please enter a registration number like TN 30 AB 1234';
+    } else if (stores.vehicles.find(item => item.registration === registration && item.id !== vehicle.id)) {
+      errors.registration = 'This vehicle is already on the roster';
+    }
+  }
+  if (vehicle.vehicleClass && !VEHICLE_CLASSES.includes(vehicle.vehicleClass)) {
+    errors.vehicleClass = 'Unknown vehicle class';
+  }
+  if (!errors.seats && !(Number.isInteger(Number(vehicle.seats)) && vehicle.seats >= 1 && vehicle.seats <= MAX_PASSENGERS)) {
+    errors.seats = `Please enter between 1 and ${MAX_PASSENGERS} seats`;
+  }
+  VEHICLE_DOCUMENTS.forEach(field => {
+    if (vehicle[field] && !isValidDate(vehicle[field])) errors[field] = 'Please enter a valid date';
+  });
+
+  return errors;
+}
+
+function validateDriver(driver) {
+  const errors = requireFields(driver, ['name', 'phone', 'licenceNumber', 'licenceExpiry']);
+
+  if (driver.phone && !errors.phone && !normalizePhone(driver.phone)) {
+    errors.phone = 'Please enter a valid Indian mobile or landline number';
+  }
+  if (driver.licenceNumber && !errors.licenceNumber &&
+      !/^[A-Z]{2}[A-Z0-9]{8,16}$/.test(compactReference(driver.licenceNumber))) {
+    errors.licenceNumber = 'Please enter a driving licence number like TN30 20110012345';
+  }
+  if (driver.licenceExpiry && !errors.licenceExpiry && !isValidDate(driver.licenceExpiry)) {
+    errors.licenceExpiry = 'Please enter a valid date';
+  }
+
+  return errors;
+}
+
+// Only the fields the roster forms edit, cleaned up for storage
+const ROSTER = {
+  vehicles: {
+    label: 'Vehicle',
+    validate: validateVehicle,
+    clean: (body) => {
+      const vehicle = {};
+      if (body.registration !== undefined) vehicle.registration = formatRegistration(body.registration) || body.registration;
+      if (body.model !== undefined) vehicle.model = String(body.model).trim();
+      if (body.vehicleClass !== undefined) vehicle.vehicleClass = body.vehicleClass;
+      if (body.seats !== undefined) vehicle.seats = Number(body.seats);
+      if (body.ac !== undefined) vehicle.ac = body.ac === true || body.ac === 'true';
+      VEHICLE_DOCUMENTS.forEach(field => {
+        if (body[field] !== undefined) vehicle[field] = body[field];
+      });
+      if (body.active !== undefined) vehicle.active = body.active !== false && body.active !== 'false';
+      return vehicle;
+    }
+  },
+  drivers: {
+    label: 'Driver',
+    validate: validateDriver,
+    clean: (body) => {
+      const driver = {};
+      if (body.name !== undefined) driver.name = String(body.name).trim();
+      if (body.phone !== undefined) driver.phone = normalizePhone(body.phone) || body.phone;
+      if (body.licenceNumber !== undefined) driver.licenceNumber = String(body.licenceNumber).trim().toUpperCase();
+      if (body.licenceExpiry !== undefined) driver.licenceExpiry = body.licenceExpiry;
+      if (body.languages !== undefined) {
+        const languages = Array.isArray(body.languages) ? body.languages : String(body.languages).split(',');
+        driver.languages = languages.map(language => String(language).trim()).filter(Boolean);
+      }
+      if (body.active !== undefined) driver.active = body.active !== false && body.active !== 'false';
+      return driver;
+    }
+  }
+};
+
+route('GET', /^\/api\/operator\/roster$/, (req) => {
+  assertOperator(req);
+  return { body: { vehicles: stores.vehicles.all(), drivers: stores.drivers.all() } };
+});
+
+route('POST', /^\/api\/operator\/roster\/(vehicles|drivers)$/, async (req, [collection]) => {
+  assertOperator(req);
+  const { label, validate, clean } = ROSTER[collection];
+  const record = { ...clean(await readJsonBody(req)), active: true };
+
+  assertValid(validate(record));
+
+  const now = new Date().toISOString();
+  const created = stores[collection].insert({ ...record, id: crypto.randomUUID(), createdAt: now, updatedAt: now });
+
+  console.log(`🗂️  ${label} added: ${created.registration || created.name}`);
+  return { status: 201, body: { [collection.slice(0, -1)]: created } };
+});
+
+// Edits, renewals and retiring (`active: false`) a vehicle or driver
+route('PATCH', /^\/api\/operator\/roster\/(vehicles|drivers)\/([\w-]+)$/, async (req, [collection, id]) => {
+  assertOperator(req);
+  const { label, validate, clean } = ROSTER[collection];
+  const current = stores[collection].find(item => item.id === id);
+
+  if (!current) {
+    throw new HttpError(404, `${label} not found`, { code: 'not_found' });
+  }
+
+  const changes = clean(await readJsonBody(req));
+  assertValid(validate({ ...current, ...changes }));
+
+  const updated = stores[collection].update(id, changes);
+  console.log(`🗂️  ${label} updated: ${updated.registration || updated.name}`);
+  return { body: { [collection.slice(0, -1)]: updated } };
+});
+
+// ===== AVAILABILITY =====
+// How many cars of each class are free per day: active roster vehicles with
+// valid documents, less confirmed bookings. A class with no cars on the
+// roster isn't tracked, and every date is open.
+
+const BLOCKING_STATUSES = ['confirmed', 'assigned'];
+const CLASS_NAMES = { sedans: 'sedans', suvs: 'SUVs', vans: 'vans' };
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+function today() {
+  const now = new Date();
+  return [now.getFullYear(), now.getMonth() + 1, now.getDate()].map(part => String(part).padStart(2, '0')).join('-');
+}
+
+// Calendar days a trip keeps a car busy. Keep in sync with getTripDays in js/trips.js
+function getBookingDates(booking) {
+  let days = 1;
+  if (booking.tripType === 'outstation') {
+    days = Math.max(1, parseInt(booking.days, 10) || 1);
+  } else if (booking.tripType === 'roundtrip' && booking.returnDate && booking.returnDate > booking.date) {
+    days = Math.round((new Date(`${booking.returnDate}T00:00:00Z`) - new Date(`${booking.date}T00:00:00Z`)) / 86400000) + 1;
+  }
+  return Array.from({ length: days }, (_, i) => addDays(booking.date, i));
+}
+
+// An assigned booking counts against its actual car's class
+function getBookingClass(booking) {
+  const vehicle = booking.vehicleId && stores.vehicles.find(item => item.id === booking.vehicleId);
+  return vehicle ? vehicle.vehicleClass : booking.vehicleClass;
+}
+
+// Vehicles a booking takes: every van of a pilgrim group, otherwise one
+function getVehicleCount(booking) {
+  return booking.pilgrimage?.vans?.length || 1;
+}
+
+// { tracked, dates: { 'YYYY-MM-DD': { capacity, booked } } } for from..to
+function getAvailability(vehicleClass, from, to, { ignoreId } = {}) {
+  const vehicles = stores.vehicles.all().filter(vehicle => vehicle.active && vehicle.vehicleClass === vehicleClass);
+  if (vehicles.length === 0) return { tracked: false, dates: {} };
+
+  const booked = {};
+  stores.bookings.all()
+    .filter(booking => booking.id !== ignoreId && BLOCKING_STATUSES.includes(booking.status) &&
+      getBookingClass(booking) === vehicleClass)
+    .forEach(booking => getBookingDates(booking).forEach(date => {
+      booked[date] = (booked[date] || 0) + getVehicleCount(booking);
+    }));
+
+  const dates = {};
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    dates[date] = {
+      capacity: vehicles.filter(vehicle => VEHICLE_DOCUMENTS.every(field => !isExpiredOn(vehicle[field], date))).length,
+      booked: booked[date] || 0
+    };
+  }
+  return { tracked: true, dates };
+}
+
+// Refuse trips on days without enough cars of the class left for them
+function assertAvailable(booking, ignoreId) {
+  if (!booking.vehicleClass || !isValidDate(booking.date)) return;
+
+  const dates = getBookingDates(booking);
+  const needed = getVehicleCount(booking);
+  const { tracked, dates: days } = getAvailability(booking.vehicleClass, dates[0], dates[dates.length - 1], { ignoreId });
+  const full = tracked && dates.find(date => days[date].booked + needed > days[date].capacity);
+
+  if (full) {
+    const name = CLASS_NAMES[booking.vehicleClass] || booking.vehicleClass;
+    const taken = days[full].booked < days[full].capacity
+      ? `Not enough of our ${name} are free`
+      : `All our ${name} are booked`;
+    throw new HttpError(409, `${taken} on ${full}. Please choose another date or vehicle, or call us.`, {
+      code: 'fully_booked',
+      fields: { date: `${taken} on this date` }
+    });
+  }
+}
+
+route('GET', /^\/api\/availability$/, (req) => {
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  const vehicleClass = query.get('vehicleClass');
+  const from = query.get('from') || today();
+
+  const errors = {};
+  if (!VEHICLE_CLASSES.includes(vehicleClass)) errors.vehicleClass = 'Unknown vehicle class';
+  if (!isValidDate(from)) errors.from = 'Please enter a valid date';
+  assertValid(errors);
+
+  // The end of the range is worked out from `from`, so only once it is valid
+  const to = query.get('to') || addDays(from, MAX_ADVANCE_DAYS);
+  if (!isValidDate(to) || to < from || to > addDays(from, MAX_ADVANCE_DAYS + 31)) {
+    errors.to = `Please ask for at most ${MAX_ADVANCE_DAYS + 31} days`;
+  }
+  assertValid(errors);
+
+  return { body: { availability: { vehicleClass, ...getAvailability(vehicleClass, from, to) } } };
+});
+
+// ===== STATIC FILES =====
+
+function serveStatic(req, res) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (error) {
+    return sendJson(res, 400, { error: { code: 'bad_request', message: 'Malformed URL' } });
+  }
+
+  let filePath = path.normalize(path.join(ROOT_DIR, urlPath));
+
+  // Never serve files outside the site root, the server's own folder or dotfiles
+  const isHidden = urlPath.split('/').some(segment => segment.startsWith('.'));
+  if (!filePath.startsWith(ROOT_DIR) || filePath.startsWith(__dirname) || isHidden) {
+    return sendJson(res, 403, { error: { code: 'forbidden', message: 'Forbidden' } });
+  }
+
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    filePath = path.join(filePath, 'index.html');
+  }
+
+  fs.readFile(filePath, (error, content) => {
+    if (error) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+    });
+    res.end(content);
+  });
+}
+
+// ===== SERVER =====
+
+async function handleRequest(req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, PATCH, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Accept'
+    });
+    return res.end();
+  }
+
+  if (!pathname.startsWith('/api/')) {
+    return serveStatic(req, res);
+  }
+
+  const matching = routes.filter(r => r.pattern.test(pathname));
+  const match = matching.find(r => r.method === req.method);
+
+  if (!match) {
+    return matching.length > 0
+      ? sendJson(res, 405, { error: { code: 'method_not_allowed', message: 'Method not allowed' } })
+      : sendJson(res, 404, { error: { code: 'not_found', message: 'Not found' } });
+  }
+
+  try {
+    const params = pathname.match(match.pattern).slice(1);
+    const result = await match.handler(req, params, res);
+    if (result.stream) return;
+
+    sendJson(res, result.status || 200, result.body);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      sendJson(res, error.status, {
+        error: { code: error.code, message: error.message, ...(error.fields && { fields: error.fields }) }
+      });
+    } else {
+      console.error('Server error:', error);
+      sendJson(res, 500, { error: { code: 'server_error', message: 'Internal server error' } });
+    }
+  }
+}
+
+if (require.main === module) {
+  http.createServer(handleRequest).listen(PORT, () => {
+    console.log(`✅ Rainbow booking server running at http://localhost:${PORT}`);
+  });
+}
+
+module.exports = { handleRequest, route, stores, HttpError };
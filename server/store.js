@@ -0,0 +1,61 @@
+/**
+ * JSON File Store
+ * Persists collections (bookings, messages, ...) as JSON files on disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.RAINBOW_DATA_DIR || path.join(__dirname, 'data');
+
+class JsonStore {
+  constructor(name, dataDir = DATA_DIR) {
+    this.file = path.join(dataDir, `${name}.json`);
+    this.records = this.load();
+  }
+
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading ${this.file}:`, error.message);
+      }
+      return [];
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    // Write to a temp file first so a crash never leaves half a file behind
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.records, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+
+  all() {
+    return [...this.records];
+  }
+
+  find(predicate) {
+    return this.records.find(predicate) || null;
+  }
+
+  insert(record) {
+    this.records.push(record);
+    this.save();
+    return record;
+  }
+
+  update(id, changes) {
+    const record = this.find(item => item.id === id);
+    if (!record) return null;
+
+    Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+    this.save();
+    return record;
+  }
+}
+
+module.exports = { JsonStore, DATA_DIR };